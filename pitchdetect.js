@@ -0,0 +1,116 @@
+/* /pitchdetect.js
+   On-device pitch detection (YIN) for the sing-back answer mode.
+   No DOM or Web Audio dependencies: the game feeds it AnalyserNode frames, and
+   tools/detect-wav.js feeds it recorded WAV files so the detector can be checked offline.
+   Loaded as a plain <script> (window.PitchDetect) or required from Node (module.exports).
+*/
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.PitchDetect = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Frames quieter than this (RMS) are treated as silence.
+  const DEFAULT_SILENCE_RMS = 0.01;
+  // YIN absolute threshold on the cumulative mean normalized difference.
+  const DEFAULT_THRESHOLD = 0.12;
+
+  function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / Math.max(1, samples.length));
+  }
+
+  /**
+   * Estimates the fundamental frequency of one frame with the YIN algorithm
+   * (de Cheveigné & Kawahara, 2002).
+   * Returns { frequency, clarity } or null for silence / unvoiced frames.
+   */
+  function detectPitchYin(samples, sampleRate, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    const minFreq = options.minFreq ?? 60;
+    const maxFreq = options.maxFreq ?? 1500;
+    const silenceRms = options.silenceRms ?? DEFAULT_SILENCE_RMS;
+
+    if (!samples || samples.length < 64 || !(sampleRate > 0)) return null;
+    if (rms(samples) < silenceRms) return null;
+
+    const maxTau = Math.min(Math.floor(sampleRate / minFreq), Math.floor(samples.length / 2));
+    const minTau = Math.max(2, Math.floor(sampleRate / maxFreq));
+    if (maxTau <= minTau) return null;
+
+    const win = samples.length - maxTau;
+
+    // Difference function d(tau), then cumulative mean normalized difference d'(tau).
+    const cmnd = new Float32Array(maxTau + 1);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= maxTau; tau++) {
+      let sum = 0;
+      for (let i = 0; i < win; i++) {
+        const delta = samples[i] - samples[i + tau];
+        sum += delta * delta;
+      }
+      running += sum;
+      cmnd[tau] = running > 0 ? (sum * tau) / running : 1;
+    }
+
+    // First dip under the threshold, followed down to its local minimum.
+    let tau = -1;
+    for (let t = minTau; t <= maxTau; t++) {
+      if (cmnd[t] < threshold) {
+        while (t + 1 <= maxTau && cmnd[t + 1] < cmnd[t]) t++;
+        tau = t;
+        break;
+      }
+    }
+    if (tau < 0) return null;
+
+    // Parabolic interpolation around the minimum for sub-sample accuracy.
+    let betterTau = tau;
+    if (tau > 1 && tau < maxTau) {
+      const a = cmnd[tau - 1];
+      const b = cmnd[tau];
+      const c = cmnd[tau + 1];
+      const denom = a + c - 2 * b;
+      if (denom !== 0) betterTau = tau + (a - c) / (2 * denom);
+    }
+
+    return { frequency: sampleRate / betterTau, clarity: 1 - cmnd[tau] };
+  }
+
+  function frequencyToMidi(freq) {
+    return 69 + 12 * Math.log2(freq / 440);
+  }
+
+  function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Runs the detector over consecutive frames of a longer signal (e.g. a decoded WAV).
+   * Returns one entry per frame: { time, frequency, clarity } or { time, frequency: null }.
+   */
+  function detectPitchTrack(samples, sampleRate, options = {}) {
+    const frameSize = options.frameSize ?? 2048;
+    const hopSize = options.hopSize ?? 1024;
+    const out = [];
+    for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+      const frame = samples.subarray(start, start + frameSize);
+      const res = detectPitchYin(frame, sampleRate, options);
+      out.push({ time: start / sampleRate, frequency: res ? res.frequency : null, clarity: res ? res.clarity : 0 });
+    }
+    return out;
+  }
+
+  function median(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  return { detectPitchYin, detectPitchTrack, frequencyToMidi, midiToFrequency, median };
+});
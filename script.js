@@ -1,8 +1,12 @@
 /* /script.js
    Identifying Musical Intervals
    Shared template behaviours: iframe auto-height, scroll forwarding, modal template, unified pulse timing.
-   Interval options: m2 → P8 (no unison).
-   Audio samples (optional): audio/{stem}{octave}.mp3 (C3..C5).
+   Interval options: m2 → P8 (no unison), plus optional compound intervals m9 → P15,
+   played ascending, descending or harmonically.
+   Audio samples (optional): audio/{stem}{octave}.mp3 (C2..C6).
+   Sing-back answers use pitchdetect.js (window.PitchDetect) on the microphone.
+   Offline: sw.js caches the app, images and samples (registered when served over http/https).
+   Embedding: a host page in HOST_ORIGINS can drive the game over postMessage (see tools/host-demo.html).
 */
 (() => {
   "use strict";
@@ -10,14 +14,19 @@
   // ---------------- constants ----------------
   const AUDIO_DIR = "audio";
 
-  // Notes are limited to C3..C5 (inclusive)
-  const MIN_PITCH = pitchFromPcOct(0, 3); // C3
-  const MAX_PITCH = pitchFromPcOct(0, 5); // C5
+  // Notes are limited to the sampled range C2..C6 (inclusive)
+  const MIN_PITCH = pitchFromPcOct(0, 2); // C2
+  const MAX_PITCH = pitchFromPcOct(0, 6); // C6
 
-  // Interval playback timings
+  // Interval playback timings (defaults; note length, gap, pre-round delay and volume are settings).
+  // A negative gap overlaps the second note with the first.
   const NOTE_PLAY_SEC = 1.15;
   const GAP_SEC = 0.18;
   const ROUND_START_DELAY_SEC = 0.25;
+  const MASTER_VOLUME = 0.95;
+  const NOTE_SEC_OPTIONS = [0.5, 0.8, 1.15, 1.6, 2.2];
+  const GAP_SEC_OPTIONS = [-0.3, 0, 0.18, 0.5, 1];
+  const START_DELAY_SEC_OPTIONS = [0, 0.25, 0.75, 1.5];
 
   // Feedback UI sounds (optional)
   const SND_CORRECT = "correct1.mp3";
@@ -42,7 +51,8 @@
   const PC_NAMES_SHARP = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
   const PC_NAMES_FLAT = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
 
-  // Interval options: m2 → P8 (12 types)
+  // Interval options: m2 → P8 (12 simple types), then m9 → P15 (12 compound types),
+  // then the opt-in augmented/diminished qualities, which are told apart by spelling.
   const IVL_ALL = [
     { code: "m2", name: "minor second", semitones: 1 },
     { code: "M2", name: "major second", semitones: 2 },
@@ -56,8 +66,154 @@
     { code: "m7", name: "minor seventh", semitones: 10 },
     { code: "M7", name: "major seventh", semitones: 11 },
     { code: "P8", name: "perfect octave", semitones: 12 },
+    { code: "m9", name: "minor ninth", semitones: 13, compound: true },
+    { code: "M9", name: "major ninth", semitones: 14, compound: true },
+    { code: "m10", name: "minor tenth", semitones: 15, compound: true },
+    { code: "M10", name: "major tenth", semitones: 16, compound: true },
+    { code: "P11", name: "perfect eleventh", semitones: 17, compound: true },
+    { code: "A11/d12", name: "compound tritone", semitones: 18, compound: true },
+    { code: "P12", name: "perfect twelfth", semitones: 19, compound: true },
+    { code: "m13", name: "minor thirteenth", semitones: 20, compound: true },
+    { code: "M13", name: "major thirteenth", semitones: 21, compound: true },
+    { code: "m14", name: "minor fourteenth", semitones: 22, compound: true },
+    { code: "M14", name: "major fourteenth", semitones: 23, compound: true },
+    { code: "P15", name: "perfect fifteenth", semitones: 24, compound: true },
+    { code: "A2", name: "augmented second", semitones: 3, advanced: true },
+    { code: "d3", name: "diminished third", semitones: 2, advanced: true },
+    { code: "d4", name: "diminished fourth", semitones: 4, advanced: true },
+    { code: "A4", name: "augmented fourth", semitones: 6, advanced: true },
+    { code: "d5", name: "diminished fifth", semitones: 6, advanced: true },
+    { code: "A5", name: "augmented fifth", semitones: 8, advanced: true },
+    { code: "d6", name: "diminished sixth", semitones: 7, advanced: true },
+    { code: "A6", name: "augmented sixth", semitones: 10, advanced: true },
+    { code: "d7", name: "diminished seventh", semitones: 9, advanced: true },
   ];
 
+  const IVL_SIMPLE = IVL_ALL.filter((i) => !i.compound && !i.advanced);
+  const IVL_COMPOUND = IVL_ALL.filter((i) => i.compound);
+  const IVL_ADVANCED = IVL_ALL.filter((i) => i.advanced);
+
+  // Named interval sets offered in the settings modal (any other combination is "Custom").
+  const INTERVAL_PRESETS = [
+    { id: "all", label: "All simple intervals (m2 → P8)", codes: IVL_SIMPLE.map((i) => i.code) },
+    { id: "seconds", label: "Seconds only", codes: ["m2", "M2"] },
+    { id: "thirds", label: "Thirds only", codes: ["m3", "M3"] },
+    { id: "perfect", label: "Perfect intervals", codes: ["P4", "P5", "P8"] },
+    { id: "tritone", label: "Tritone vs neighbours", codes: ["P4", "A4/d5", "P5"] },
+    { id: "sixths-sevenths", label: "Sixths and sevenths", codes: ["m6", "M6", "m7", "M7"] },
+    { id: "small", label: "Small intervals (m2 → M3)", codes: ["m2", "M2", "m3", "M3"] },
+    { id: "compound", label: "Compound intervals (m9 → P15)", codes: IVL_COMPOUND.map((i) => i.code), compound: true },
+    { id: "octave-ninths", label: "Octave vs ninths", codes: ["P8", "m9", "M9"], compound: true },
+    { id: "everything", label: "Everything (m2 → P15)", codes: IVL_SIMPLE.concat(IVL_COMPOUND).map((i) => i.code), compound: true },
+    { id: "altered", label: "Augmented and diminished", codes: IVL_ADVANCED.map((i) => i.code), advanced: true },
+  ];
+
+  // Diatonic generation: both notes of every question come from one of these scales (semitones above the tonic).
+  const SCALES = [
+    { id: "major", label: "Major (Ionian)", steps: [0, 2, 4, 5, 7, 9, 11] },
+    { id: "natural-minor", label: "Natural minor (Aeolian)", steps: [0, 2, 3, 5, 7, 8, 10] },
+    { id: "harmonic-minor", label: "Harmonic minor", steps: [0, 2, 3, 5, 7, 8, 11] },
+    { id: "dorian", label: "Dorian", steps: [0, 2, 3, 5, 7, 9, 10] },
+    { id: "phrygian", label: "Phrygian", steps: [0, 1, 3, 5, 7, 8, 10] },
+    { id: "lydian", label: "Lydian", steps: [0, 2, 4, 6, 7, 9, 11] },
+    { id: "mixolydian", label: "Mixolydian", steps: [0, 2, 4, 5, 7, 9, 10] },
+    { id: "locrian", label: "Locrian", steps: [0, 1, 3, 5, 6, 8, 10] },
+  ];
+
+  // Fewer than this makes the answer a giveaway.
+  const MIN_INTERVALS_SELECTED = 2;
+
+  // Adaptive selection: how many recent attempts per interval count towards its error rate,
+  // how far back to look for confusion pairs, and the spaced-review gaps (in questions).
+  const ADAPTIVE_WINDOW = 8;
+  const ADAPTIVE_CONFUSION_WINDOW = 40;
+  const ADAPTIVE_REVIEW_GAPS = [2, 5, 11];
+
+  // Timed challenge: a correct answer scores TIMED_BASE_POINTS plus up to TIMED_BONUS_POINTS,
+  // shrinking linearly to nothing at TIMED_BONUS_WINDOW_MS.
+  const TIMED_BASE_POINTS = 100;
+  const TIMED_BONUS_POINTS = 100;
+  const TIMED_BONUS_WINDOW_MS = 5000;
+  const TIMED_QUESTION_OPTIONS = [10, 20, 30, 50];
+  const TIMED_SECONDS_OPTIONS = [60, 120, 180, 300];
+
+  // Test mode: lengths and the grade boundaries (percent).
+  const TEST_QUESTION_OPTIONS = [5, 10, 15, 20, 30];
+  const TEST_GRADES = [
+    [90, "A"],
+    [80, "B"],
+    [70, "C"],
+    [60, "D"],
+    [0, "F"],
+  ];
+
+  // Replays allowed before answering (-1 = unlimited). With partial credit, each replay takes
+  // REPLAY_CREDIT_STEP off a correct answer, down to REPLAY_CREDIT_MIN.
+  const MAX_REPLAY_OPTIONS = [-1, 0, 1, 3];
+  const REPLAY_CREDIT_STEP = 0.25;
+  const REPLAY_CREDIT_MIN = 0.25;
+
+  // Sing-back: how often the mic is analysed, how many consecutive detections within
+  // SING_STABLE_SPREAD semitones count as a sung note, and the tolerance choices (cents).
+  const SING_POLL_MS = 50;
+  const SING_STABLE_FRAMES = 8;
+  const SING_STABLE_SPREAD = 0.5;
+  const SING_TOLERANCE_OPTIONS = [25, 50, 75, 100];
+
+  // Build drill: pause between the answer sound and hearing both notes.
+  const BUILD_PLAYBACK_DELAY_MS = 700;
+
+  // Melody drill: notes per melody, and how far from the range edges a random first note starts.
+  const MELODY_MIN_NOTES = 3;
+  const MELODY_MAX_NOTES = 5;
+  const MELODY_START_MARGIN = 12;
+
+  // Scorecard PNG: pixel density multiplier and the window for its rolling-accuracy line.
+  const SCORECARD_SCALE = 3;
+  const SCORECARD_ROLLING_WINDOW = 10;
+
+  // Host pages (besides this page's own origin) trusted to drive the game over postMessage,
+  // e.g. "https://lms.example.edu". Messages from anywhere else are ignored and nothing is sent to them.
+  const HOST_ORIGINS = [];
+  const HOST_PROTOCOL = "ivl-host";
+  const HOST_PROTOCOL_VERSION = 1;
+
+  // Assignment links: URL parameter for each setting, plus how the begin screen behaves ("show", "lock", "skip").
+  const LINK_PARAMS = {
+    intervals: "i",
+    rootMode: "rm",
+    fixedRootPitch: "root",
+    direction: "dir",
+    selection: "sel",
+    timedMode: "timed",
+    timedQuestions: "n",
+    timedSeconds: "secs",
+    drill: "drill",
+    instrument: "inst",
+    noteSec: "len",
+    gapSec: "gap",
+    startDelaySec: "delay",
+    volume: "vol",
+    context: "ctx",
+    contextKey: "ctxkey",
+    generation: "gen",
+    scaleKey: "key",
+    scale: "scale",
+    answerMode: "ans",
+    singToleranceCents: "tol",
+    singAnyOctave: "anyoct",
+    testMode: "test",
+    testQuestions: "tn",
+    maxReplays: "replays",
+    seed: "seed",
+    replayScoring: "rscore",
+  };
+  const LINK_BEGIN_PARAM = "begin";
+
+  // Saved progress (settings + score + history). Bump the version by adding a migration below.
+  const STORAGE_KEY = "ivl_progress";
+  const PLAYER_NAME_KEY = "ivl_player_name";
+
   // ---------------- DOM ----------------
   const $ = (id) => document.getElementById(id);
 
@@ -72,6 +228,10 @@
   const replayBtn = $("replayBtn");
   const nextBtn = $("nextBtn");
   const downloadScoreBtn = $("downloadScoreBtn");
+  const exportCsvBtn = $("exportCsvBtn");
+  const exportJsonBtn = $("exportJsonBtn");
+  const importJsonBtn = $("importJsonBtn");
+  const importFile = $("importFile");
 
   const answerButtons = $("answerButtons");
   const feedbackOut = $("feedbackOut");
@@ -83,23 +243,83 @@
   const settingsModal = $("settingsModal");
   const settingsClose = $("settingsClose");
   const settingsApply = $("settingsApply");
-  const intervalCountSel = $("intervalCountSel");
+  const settingsGrid = $("settingsGrid");
+  const settingsLockNote = $("settingsLockNote");
+  const linkBeginSel = $("linkBeginSel");
+  const copyLinkBtn = $("copyLinkBtn");
+  const settingsResume = $("settingsResume");
+  const clearDataBtn = $("clearDataBtn");
+  const intervalPresetSel = $("intervalPresetSel");
+  const intervalPicker = $("intervalPicker");
+  const intervalPickerHint = $("intervalPickerHint");
+  const compoundChk = $("compoundChk");
+  const advancedChk = $("advancedChk");
   const rootModeSel = $("rootModeSel");
   const rootNoteSel = $("rootNoteSel");
+  const directionSel = $("directionSel");
+  const selectionSel = $("selectionSel");
+  const timedModeSel = $("timedModeSel");
+  const timedQuestionsSel = $("timedQuestionsSel");
+  const testModeSel = $("testModeSel");
+  const testQuestionsSel = $("testQuestionsSel");
+  const maxReplaysSel = $("maxReplaysSel");
+  const replayScoringSel = $("replayScoringSel");
+  const seedInput = $("seedInput");
+  const seedHint = $("seedHint");
+  const timedSecondsSel = $("timedSecondsSel");
+  const timerOut = $("timerOut");
+  const drillSel = $("drillSel");
+  const melodySteps = $("melodySteps");
+  const legendSecondText = $("legendSecondText");
+  const instrumentSel = $("instrumentSel");
+  const noteSecSel = $("noteSecSel");
+  const gapSecSel = $("gapSecSel");
+  const startDelaySel = $("startDelaySel");
+  const volumeRange = $("volumeRange");
+  const volumeOut = $("volumeOut");
+  const contextSel = $("contextSel");
+  const contextKeySel = $("contextKeySel");
+  const generationSel = $("generationSel");
+  const scaleKeySel = $("scaleKeySel");
+  const scaleSel = $("scaleSel");
+  const scaleFitHint = $("scaleFitHint");
+  const answerModeSel = $("answerModeSel");
+  const singToleranceSel = $("singToleranceSel");
+  const singAnyOctaveChk = $("singAnyOctaveChk");
+  const legendDetected = $("legendDetected");
+
+  const adaptiveDebug = $("adaptiveDebug");
+  const adaptiveDebugOut = $("adaptiveDebugOut");
+
+  const statsBtn = $("statsBtn");
+  const statsModal = $("statsModal");
+  const statsBody = $("statsBody");
+  const statsClose = $("statsClose");
+  const resultsModal = $("resultsModal");
+  const resultsBody = $("resultsBody");
+  const retryMissedBtn = $("retryMissedBtn");
+  const resultsDownloadBtn = $("resultsDownloadBtn");
+  const resultsClose = $("resultsClose");
 
   const infoModal = $("infoModal");
   const modalBody = $("modalBody");
   const modalClose = $("modalClose");
+  const referenceList = $("referenceList");
 
   const SND_SELECT = "select1.mp3";
 
   const required = [
     settingsBtn, infoBtn, resetBtn,
     replayBtn, nextBtn, downloadScoreBtn,
+    exportCsvBtn, exportJsonBtn, importJsonBtn, importFile,
     answerButtons, feedbackOut, scoreOut,
     keyboardWrap, miniMount,
-    settingsModal, settingsClose, settingsApply, intervalCountSel, rootModeSel, rootNoteSel,
-    infoModal, modalBody, modalClose,
+    settingsModal, settingsClose, settingsApply, settingsResume, settingsGrid, settingsLockNote, linkBeginSel, copyLinkBtn, clearDataBtn, intervalPresetSel, intervalPicker, intervalPickerHint, compoundChk, advancedChk, rootModeSel, rootNoteSel, directionSel, selectionSel,
+    timedModeSel, timedQuestionsSel, timedSecondsSel, timerOut, testModeSel, testQuestionsSel, maxReplaysSel, replayScoringSel, seedInput, seedHint,
+    drillSel, melodySteps, legendSecondText, instrumentSel, noteSecSel, gapSecSel, startDelaySel, volumeRange, volumeOut, contextSel, contextKeySel, generationSel, scaleKeySel, scaleSel, scaleFitHint, answerModeSel, singToleranceSel, singAnyOctaveChk, legendDetected,
+    adaptiveDebug, adaptiveDebugOut,
+    statsBtn, statsModal, statsBody, statsClose, resultsModal, resultsBody, retryMissedBtn, resultsDownloadBtn, resultsClose,
+    infoModal, modalBody, modalClose, referenceList,
   ];
   if (required.some((x) => !x)) {
     alert("UI mismatch: required elements missing. Ensure index.html ids match script.js.");
@@ -126,12 +346,18 @@
   window.addEventListener("resize", refreshTitleMode);
 
   // ---------------- iframe sizing (template) ----------------
+  // Layout messages carry no game data, so they still reach a host outside HOST_ORIGINS (the template's
+  // resizer); a trusted host gets them addressed to its own origin.
+  function postLayoutMessage(msg) {
+    parent.postMessage(msg, trustedHostOrigin() ?? "*");
+  }
+
   let lastHeight = 0;
   const ro = new ResizeObserver((entries) => {
     for (const entry of entries) {
       const h = Math.ceil(entry.contentRect.height);
       if (h !== lastHeight) {
-        parent.postMessage({ iframeHeight: h }, "*");
+        postLayoutMessage({ iframeHeight: h });
         lastHeight = h;
       }
     }
@@ -144,7 +370,7 @@
         document.documentElement.scrollHeight,
         document.body ? document.body.scrollHeight : 0
       );
-      parent.postMessage({ iframeHeight: h }, "*");
+      postLayoutMessage({ iframeHeight: h });
     } catch {}
   }
 
@@ -225,7 +451,7 @@
         vScrollTop = vScrollTop * 0.75 + instV * 0.25;
 
         e.preventDefault();
-        parent.postMessage({ scrollTopDelta }, "*");
+        postLayoutMessage({ scrollTopDelta });
       },
       { passive: false }
     );
@@ -233,7 +459,7 @@
     function endGesture() {
       if (lockedMode === "y" && Math.abs(vScrollTop) > 0.05) {
         const capped = Math.max(-5.5, Math.min(5.5, vScrollTop));
-        parent.postMessage({ scrollTopVelocity: capped }, "*");
+        postLayoutMessage({ scrollTopVelocity: capped });
       }
       lockedMode = null;
       vScrollTop = 0;
@@ -246,7 +472,7 @@
       "wheel",
       (e) => {
         if (isVerticallyScrollable()) return;
-        parent.postMessage({ scrollTopDelta: e.deltaY }, "*");
+        postLayoutMessage({ scrollTopDelta: e.deltaY });
       },
       { passive: true }
     );
@@ -276,12 +502,16 @@
 
     audioCtx = new Ctx();
     masterGain = audioCtx.createGain();
-    masterGain.gain.value = 0.95;
+    masterGain.gain.value = settings.volume;
     masterGain.connect(audioCtx.destination);
 
     return audioCtx;
   }
 
+  function applyVolume() {
+    if (masterGain) masterGain.gain.value = settings.volume;
+  }
+
   async function resumeAudioIfNeeded() {
     const ctx = ensureAudioGraph();
     if (!ctx) return;
@@ -390,34 +620,229 @@
     return 440 * Math.pow(2, (midi - 69) / 12);
   }
 
-  function playSynthToneWindowed(pitch, whenSec, playSec, fadeOutSec, gain = 1) {
-    const ctx = ensureAudioGraph();
-    if (!ctx || !masterGain) return null;
+  // ---------------- sample preloading ----------------
+  // Every pitch the current settings can ask for (random roots can land anywhere in range).
+  function pitchesNeeded() {
+    const out = new Set();
+    if (settings.generation === "diatonic") {
+      for (const itv of activeIntervals()) {
+        for (const p of diatonicRoots(itv)) out.add(p).add(p + itv.semitones);
+      }
+      const keyPc = settings.contextKey === "root" ? settings.scaleKey : Number(settings.contextKey);
+      for (const p of contextPitches(keyPc)) out.add(p);
+      // Chromatic fallback when no chosen interval fits the scale.
+      if (!out.size || activeIntervals().every((itv) => !diatonicRoots(itv).length)) {
+        for (let p = MIN_PITCH; p <= MAX_PITCH; p++) out.add(p);
+      }
+    } else if (settings.rootMode === "fixed" && settings.drill !== "melody") {
+      out.add(settings.fixedRootPitch);
+      for (const itv of activeIntervals()) out.add(settings.fixedRootPitch + itv.semitones);
+      const keyPc = settings.contextKey === "root" ? pcFromPitch(settings.fixedRootPitch) : Number(settings.contextKey);
+      for (const p of contextPitches(keyPc)) out.add(p);
+    } else {
+      for (let p = MIN_PITCH; p <= MAX_PITCH; p++) out.add(p);
+    }
+    return [...out].filter((p) => p >= MIN_PITCH && p <= MAX_PITCH).sort((a, b) => a - b);
+  }
 
-    const osc = ctx.createOscillator();
-    osc.type = "sine";
-    osc.frequency.setValueAtTime(pitchToFrequency(pitch), whenSec);
+  function renderPreload(done, total) {
+    setFeedback(
+      `Loading sounds… ${done}/${total}<br/>` +
+        `<progress class="loadProgress" max="${total}" value="${done}" aria-label="Loading sounds"></progress>`
+    );
+  }
 
-    const g = ctx.createGain();
-    const safeGain = Math.max(0, Number.isFinite(gain) ? gain : 1);
+  // Fetches and decodes the samples up front so the first rounds don't stall on a slow network.
+  // Missing samples are left to the synth fallback (and its warning) at play time.
+  async function preloadSamples() {
+    if (settings.instrument !== "piano") return;
+    const pitches = pitchesNeeded();
+    let done = 0;
+    renderPreload(done, pitches.length);
+    await Promise.all(
+      pitches.map(async (p) => {
+        await loadPitchBuffer(p);
+        done += 1;
+        renderPreload(done, pitches.length);
+      })
+    );
+  }
 
-    const fadeIn = 0.01;
+  // ---------------- synth voices ----------------
+  // Instruments other than piano are synthesized in the masterGain graph. "piano" here is the
+  // stand-in used when a piano sample is missing. `level` evens out loudness against the samples.
+  const INSTRUMENTS = [
+    { id: "piano", label: "Piano (samples)" },
+    { id: "organ", label: "Organ" },
+    { id: "strings", label: "Strings" },
+    { id: "guitar", label: "Plucked guitar" },
+    { id: "sine", label: "Pure tone (sine)" },
+  ];
+
+  const SYNTH_VOICES = {
+    piano: { level: 0.45, attack: 0.005, decay: 0.9, sustain: 0.3, release: 0.12 },
+    organ: { level: 0.32, attack: 0.02, decay: 0, sustain: 1, release: 0.06 },
+    strings: { level: 0.3, attack: 0.14, decay: 0.25, sustain: 0.85, release: 0.25 },
+    guitar: { level: 0.8, attack: 0.002, decay: 0, sustain: 1, release: 0.1 },
+    sine: { level: 0.3, attack: 0.01, decay: 0, sustain: 1, release: 0.08 },
+  };
+
+  // Organ drawbars: harmonic number → relative level.
+  const ORGAN_PARTIALS = [[1, 1], [2, 0.5], [3, 0.3], [4, 0.25], [6, 0.1]];
+
+  // Karplus-Strong decay per period, and one cached pluck per pitch.
+  const GUITAR_DAMPING = 0.996;
+  const guitarBufferCache = new Map();
+
+  // Attack → decay to sustain → hold → release, all inside [whenSec, whenSec + playSec].
+  function applyEnvelope(param, whenSec, playSec, peak, env, fadeOutSec) {
     const endAt = whenSec + Math.max(0.05, playSec);
+    const release = Math.max(env.release, fadeOutSec || 0);
+    const attackEnd = Math.min(whenSec + env.attack, endAt - 0.02);
+    const releaseStart = Math.max(attackEnd, endAt - release);
+
+    param.setValueAtTime(0, whenSec);
+    param.linearRampToValueAtTime(peak, attackEnd);
+    if (env.decay > 0 && env.sustain < 1) {
+      const decayEnd = Math.min(attackEnd + env.decay, releaseStart);
+      const reached = env.sustain + (1 - env.sustain) * (1 - (decayEnd - attackEnd) / env.decay);
+      param.linearRampToValueAtTime(peak * reached, decayEnd);
+      param.setValueAtTime(peak * reached, releaseStart);
+    } else {
+      param.setValueAtTime(peak, releaseStart);
+    }
+    param.linearRampToValueAtTime(0, endAt);
+    return endAt;
+  }
 
-    g.gain.setValueAtTime(0, whenSec);
-    g.gain.linearRampToValueAtTime(safeGain, whenSec + fadeIn);
+  function guitarBuffer(ctx, pitch) {
+    if (guitarBufferCache.has(pitch)) return guitarBufferCache.get(pitch);
 
-    const fadeStart = Math.max(whenSec + 0.02, endAt - Math.max(0.06, fadeOutSec));
-    g.gain.setValueAtTime(safeGain, fadeStart);
-    g.gain.linearRampToValueAtTime(0, endAt);
+    const sr = ctx.sampleRate;
+    const freq = pitchToFrequency(pitch);
+    const period = Math.max(2, Math.round(sr / freq));
+    const length = Math.round(sr * 3);
+    const buffer = ctx.createBuffer(1, length, sr);
+    const data = buffer.getChannelData(0);
+
+    // Noise burst, then a delay line with a two-point average (the string's loss).
+    for (let i = 0; i < period; i++) data[i] = Math.random() * 2 - 1;
+    for (let i = period; i < length; i++) {
+      data[i] = GUITAR_DAMPING * 0.5 * (data[i - period] + data[Math.max(0, i - period - 1)]);
+    }
+
+    // The average adds half a sample of delay; playbackRate puts the pitch back in tune.
+    const entry = { buffer, rate: freq / (sr / (period + 0.5)) };
+    guitarBufferCache.set(pitch, entry);
+    return entry;
+  }
+
+  function voiceSources(ctx, voice, pitch, whenSec, out) {
+    const freq = pitchToFrequency(pitch);
+
+    if (voice === "guitar") {
+      const { buffer, rate } = guitarBuffer(ctx, pitch);
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.playbackRate.setValueAtTime(rate, whenSec);
+      src.connect(out);
+      return [src];
+    }
+
+    if (voice === "organ") {
+      const total = ORGAN_PARTIALS.reduce((sum, [, lvl]) => sum + lvl, 0);
+      return ORGAN_PARTIALS.filter(([h]) => freq * h < ctx.sampleRate / 2).map(([h, lvl]) => {
+        const osc = ctx.createOscillator();
+        osc.type = "sine";
+        osc.frequency.setValueAtTime(freq * h, whenSec);
+        const g = ctx.createGain();
+        g.gain.value = lvl / total;
+        osc.connect(g);
+        g.connect(out);
+        return osc;
+      });
+    }
+
+    if (voice === "strings") {
+      // Two detuned saws through a lowpass, with a slow vibrato that fades in.
+      const lp = ctx.createBiquadFilter();
+      lp.type = "lowpass";
+      lp.frequency.setValueAtTime(Math.min(8000, Math.max(1200, freq * 5)), whenSec);
+      lp.Q.value = 0.7;
+      lp.connect(out);
+
+      const lfo = ctx.createOscillator();
+      lfo.frequency.setValueAtTime(5.5, whenSec);
+      const depth = ctx.createGain();
+      depth.gain.setValueAtTime(0, whenSec);
+      depth.gain.linearRampToValueAtTime(6, whenSec + 0.4);
+      lfo.connect(depth);
+
+      const saws = [-6, 6].map((cents) => {
+        const osc = ctx.createOscillator();
+        osc.type = "sawtooth";
+        osc.frequency.setValueAtTime(freq, whenSec);
+        osc.detune.setValueAtTime(cents, whenSec);
+        depth.connect(osc.detune);
+        const g = ctx.createGain();
+        g.gain.value = 0.5;
+        osc.connect(g);
+        g.connect(lp);
+        return osc;
+      });
+      return [lfo, ...saws];
+    }
+
+    if (voice === "piano") {
+      // Triangle plus a quiet octave partial, darkened with a lowpass.
+      const lp = ctx.createBiquadFilter();
+      lp.type = "lowpass";
+      lp.frequency.setValueAtTime(Math.min(9000, freq * 6), whenSec);
+      lp.connect(out);
+      return [
+        [1, "triangle", 0.8],
+        [2, "sine", 0.2],
+      ].map(([h, type, lvl]) => {
+        const osc = ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq * h, whenSec);
+        const g = ctx.createGain();
+        g.gain.value = lvl;
+        osc.connect(g);
+        g.connect(lp);
+        return osc;
+      });
+    }
+
+    const osc = ctx.createOscillator();
+    osc.type = "sine";
+    osc.frequency.setValueAtTime(freq, whenSec);
+    osc.connect(out);
+    return [osc];
+  }
 
-    osc.connect(g);
+  function playSynthToneWindowed(pitch, whenSec, playSec, fadeOutSec, gain = 1, voice = "sine") {
+    const ctx = ensureAudioGraph();
+    if (!ctx || !masterGain) return null;
+
+    const env = SYNTH_VOICES[voice] || SYNTH_VOICES.sine;
+    const g = ctx.createGain();
+    const safeGain = Math.max(0, Number.isFinite(gain) ? gain : 1);
+    const endAt = applyEnvelope(g.gain, whenSec, playSec, safeGain * env.level, env, fadeOutSec);
     g.connect(masterGain);
 
-    trackVoice(osc, g, whenSec);
-    osc.start(whenSec);
-    osc.stop(endAt + 0.03);
-    return osc;
+    const sources = voiceSources(ctx, voice, pitch, whenSec, g);
+    for (const src of sources) {
+      trackVoice(src, g, whenSec);
+      src.start(whenSec);
+      src.stop(endAt + 0.03);
+    }
+    return sources[0];
+  }
+
+  // Voice for notes without a sample: the chosen instrument, or the piano stand-in.
+  function synthVoice() {
+    return SYNTH_VOICES[settings.instrument] ? settings.instrument : "piano";
   }
 
   function maybeWarnSynthFallback(missingUrl) {
@@ -443,15 +868,15 @@
     return PC_TO_STEM[(pc + 12) % 12] || null;
   }
 
+  // A note with no question to spell it against (root choices, statistics): its sharp name.
   function pitchLabel(pitch) {
-    const pc = pcFromPitch(pitch);
-    const oct = octFromPitch(pitch);
-    const isAcc = [1, 3, 6, 8, 10].includes(pc);
-    if (!isAcc) return `${PC_NAMES_SHARP[pc]}${oct}`;
-    return `${PC_NAMES_SHARP[pc]}${oct} / ${PC_NAMES_FLAT[pc]}${oct}`;
+    return spellingLabel(parseNoteName(PC_NAMES_SHARP[pcFromPitch(pitch)], octFromPitch(pitch)));
   }
 
   async function loadPitchBuffer(pitch) {
+    // Only the piano uses samples.
+    if (settings.instrument !== "piano") return { missingUrl: null, buffer: null, pitch };
+
     const pc = pcFromPitch(pitch);
     const oct = octFromPitch(pitch);
     const stem = getStemForPc(pc);
@@ -466,6 +891,7 @@
   function playUiSound(filename) {
     try {
       const a = new Audio(`${AUDIO_DIR}/${filename}`);
+      a.volume = settings.volume;
       activeUiAudios.add(a);
       a.onended = () => activeUiAudios.delete(a);
       a.play();
@@ -495,27 +921,37 @@
     return Math.max(lo, Math.min(hi, v));
   }
 
+  // C-to-C window of at least two octaves; grows by whole octaves so compound intervals fit.
   function computeTwoOctaveWindowForSet(pitches) {
     const minP = Math.min(...pitches);
     const maxP = Math.max(...pitches);
 
     let startC = pitchFromPcOct(0, octFromPitch(minP));
     let endC = startC + 24;
+    while (maxP > endC) endC += 12;
 
-    if (maxP > endC) {
-      startC += 12;
-      endC = startC + 24;
-    }
+    const hardLo = MIN_PITCH;
+    const hardHi = MAX_PITCH;
 
-    const hardLo = pitchFromPcOct(0, 3); // C3
-    const hardHi = pitchFromPcOct(0, 5) + 12; // headroom
+    if (endC > hardHi) {
+      startC = Math.max(hardLo, startC - (endC - hardHi));
+      endC = hardHi;
+    }
 
     startC = clamp(startC, hardLo, hardHi);
     endC = clamp(endC, hardLo, hardHi);
     return { lo: startC, hi: endC };
   }
 
-  function buildMiniKeyboard(pitches, highlightFirstPitch, highlightSecondPitch) {
+  // `detectedPitch` (optional) marks the note the user sang.
+  // `onKeyClick(pitch)` makes the keys clickable (keyboard answer mode).
+  // `melody` (optional) highlights every note of a melody and numbers the keys in playing order.
+  function buildMiniKeyboard(
+    pitches,
+    highlightFirstPitch,
+    highlightSecondPitch,
+    { detectedPitch = null, onKeyClick = null, melody = null } = {}
+  ) {
     miniMount.innerHTML = "";
 
     if (!pitches?.length) {
@@ -568,10 +1004,24 @@
        .b rect{fill:#111111;stroke:rgba(0,0,0,.25);stroke-width:1}
        .first rect{fill: var(--firstNote, #4da3ff) !important;}
        .second rect{fill: var(--secondNote, #34c759) !important;}
+       .detected rect{fill: var(--detectedNote, #ff8a1f) !important;}
        .lbl{font: 900 12px Arial; fill: rgba(0,0,0,.55); user-select:none}
+       .ord{font: 900 11px Arial; fill: #111; user-select:none}
+       .b .ord{fill: #fff}
+       .playable .w, .playable .b{cursor:pointer}
+       .playable .w:hover rect{fill:#e8f1ff}
+       .playable .b:hover rect{fill:#3a3a3a}
       `;
     s.appendChild(style);
 
+    if (onKeyClick) {
+      s.classList.add("playable");
+      s.addEventListener("click", (e) => {
+        const key = e.target.closest("[data-pitch]");
+        if (key) onKeyClick(Number(key.getAttribute("data-pitch")));
+      });
+    }
+
     s.appendChild(
       el("rect", { class: "bg", x: 0, y: 0, width: outerW, height: outerH, rx: RADIUS, ry: RADIUS })
     );
@@ -587,6 +1037,20 @@
     const startX = BORDER;
     const startY = BORDER;
 
+    function markKey(grp, p, labelX, labelY) {
+      if (melody?.includes(p)) grp.classList.add(p === melody[0] ? "first" : "second");
+      if (p === highlightFirstPitch) grp.classList.add("first");
+      if (p === highlightSecondPitch) grp.classList.add("second");
+      if (p === detectedPitch) grp.classList.add("detected");
+
+      const order = melody ? melody.map((m, i) => (m === p ? i + 1 : null)).filter(Boolean) : [];
+      if (order.length) {
+        const text = el("text", { x: labelX, y: labelY, "text-anchor": "middle", class: "ord" });
+        text.textContent = order.join(",");
+        grp.appendChild(text);
+      }
+    }
+
     const whiteIndexByPitch = new Map();
     let wi = 0;
     for (const p of whitePitches) whiteIndexByPitch.set(p, wi++);
@@ -598,7 +1062,7 @@
 
       const x = startX + (whiteIndexByPitch.get(p) || 0) * WHITE_W;
 
-      const grp = el("g", { class: "w" });
+      const grp = el("g", { class: "w", "data-pitch": p });
       grp.appendChild(el("rect", { x, y: startY, width: WHITE_W, height: WHITE_H }));
 
       const text = el("text", {
@@ -610,8 +1074,7 @@
       text.textContent = pc === 0 ? name : "";
       grp.appendChild(text);
 
-      if (p === highlightFirstPitch) grp.classList.add("first");
-      if (p === highlightSecondPitch) grp.classList.add("second");
+      markKey(grp, p, x + WHITE_W / 2, startY + WHITE_H - 30);
       gW.appendChild(grp);
     }
 
@@ -632,11 +1095,10 @@
       const leftX = startX + wIndex * WHITE_W;
       const x = leftX + WHITE_W - BLACK_W / 2;
 
-      const grp = el("g", { class: "b" });
+      const grp = el("g", { class: "b", "data-pitch": p });
       grp.appendChild(el("rect", { x, y: startY, width: BLACK_W, height: BLACK_H }));
 
-      if (p === highlightFirstPitch) grp.classList.add("first");
-      if (p === highlightSecondPitch) grp.classList.add("second");
+      markKey(grp, p, x + BLACK_W / 2, startY + BLACK_H - 10);
       gB.appendChild(grp);
     }
 
@@ -650,14 +1112,53 @@
     incorrect: 0,
     streak: 0,
     longest: 0,
+    points: 0,
+    // Sum of the credit earned: 1 per correct answer, less with partial credit for replays.
+    credit: 0,
+    complete: false,
+    // Seed of this game's question sequence, and the generator state after the last answered question.
+    seed: "",
+    rng: 0,
+    // Test mode: how many questions the running test has, and the missed questions (history entries)
+    // a "Retry missed only" test still has to ask.
+    testLength: 0,
+    retry: [],
     history: [],
   };
 
-  const settings = {
-    intervalCount: 12,
-    rootMode: "random",
-    fixedRootPitch: pitchFromPcOct(0, 4),
-  };
+  function defaultSettings() {
+    return {
+      intervals: IVL_SIMPLE.map((i) => i.code),
+      rootMode: "random",
+      fixedRootPitch: pitchFromPcOct(0, 4),
+      direction: "ascending",
+      selection: "uniform",
+      timedMode: "off",
+      timedQuestions: 20,
+      timedSeconds: 120,
+      testMode: "off",
+      testQuestions: 10,
+      maxReplays: -1,
+      replayScoring: "full",
+      seed: "",
+      drill: "identify",
+      instrument: "piano",
+      noteSec: NOTE_PLAY_SEC,
+      gapSec: GAP_SEC,
+      startDelaySec: ROUND_START_DELAY_SEC,
+      volume: MASTER_VOLUME,
+      context: "off",
+      contextKey: "root",
+      generation: "chromatic",
+      scaleKey: 0,
+      scale: "major",
+      answerMode: "buttons",
+      singToleranceCents: 50,
+      singAnyOctave: true,
+    };
+  }
+
+  const settings = defaultSettings();
 
     let settingsModalLocked = false;
 let started = false;
@@ -665,6 +1166,161 @@ let started = false;
   let awaitingNext = false;
   let question = null;
 
+  // Progress found in localStorage at load time, offered via "Resume previous session".
+  let savedSession = null;
+
+  // Set when the page was opened from an assignment link with begin=lock: the settings can't be edited.
+  let settingsLockedByLink = false;
+
+  // Sing-back microphone graph (created on first use) and the running detection loop.
+  let micStream = null;
+  let micAnalyser = null;
+  let micBuffer = null;
+  let micUnavailable = false;
+  let singPollHandle = null;
+  let singStartHandle = null;
+  let singRecent = [];
+  let singShownPitch;
+
+  // Timed challenge clock (performance.now() based); null when no countdown is running.
+  let clockEndsAt = null;
+  let timerHandle = null;
+
+  // ---------------- persistence (localStorage) ----------------
+  // Each entry upgrades a stored state from version i to version i + 1.
+  const STORAGE_MIGRATIONS = [
+    // v0 (unversioned): a contiguous "m2 → X" interval count instead of an interval list.
+    (state) => {
+      const fromCount = (n) => IVL_SIMPLE.slice(0, clampInt(n, 2, IVL_SIMPLE.length)).map((i) => i.code);
+      const s = { ...(state.settings || {}) };
+      if (!Array.isArray(s.intervals) && s.intervalCount != null) s.intervals = fromCount(s.intervalCount);
+      delete s.intervalCount;
+
+      const history = Array.isArray(state.score?.history) ? state.score.history : [];
+      const migrated = history.map((h) => {
+        if (!h || h.intervalCount == null) return h;
+        const { intervalCount, ...rest } = h;
+        return { ...rest, intervals: fromCount(intervalCount) };
+      });
+
+      return { ...state, version: 1, settings: s, score: { ...(state.score || {}), history: migrated } };
+    },
+  ];
+  const STORAGE_VERSION = STORAGE_MIGRATIONS.length;
+
+  // Builds a complete, valid settings object from anything (stored data, defaults for the rest).
+  function normalizeSettings(raw) {
+    const d = defaultSettings();
+    if (!raw || typeof raw !== "object") return d;
+
+    const wanted = Array.isArray(raw.intervals) ? raw.intervals : [];
+    const intervals = withQualityCodes(wanted, wanted.some(isAdvancedCode));
+    const out = {
+      intervals: intervals.length >= MIN_INTERVALS_SELECTED ? intervals : d.intervals,
+      rootMode: raw.rootMode === "fixed" ? "fixed" : "random",
+      fixedRootPitch: d.fixedRootPitch,
+      direction: ["ascending", "descending", "harmonic", "mixed"].includes(raw.direction) ? raw.direction : d.direction,
+      selection: raw.selection === "adaptive" ? "adaptive" : "uniform",
+      timedMode: ["questions", "clock"].includes(raw.timedMode) ? raw.timedMode : "off",
+      timedQuestions: TIMED_QUESTION_OPTIONS.includes(Number(raw.timedQuestions)) ? Number(raw.timedQuestions) : d.timedQuestions,
+      timedSeconds: TIMED_SECONDS_OPTIONS.includes(Number(raw.timedSeconds)) ? Number(raw.timedSeconds) : d.timedSeconds,
+      testMode: ["on", "hidden"].includes(raw.testMode) ? raw.testMode : "off",
+      testQuestions: TEST_QUESTION_OPTIONS.includes(Number(raw.testQuestions)) ? Number(raw.testQuestions) : d.testQuestions,
+      maxReplays: MAX_REPLAY_OPTIONS.includes(Number(raw.maxReplays)) ? Number(raw.maxReplays) : d.maxReplays,
+      replayScoring: raw.replayScoring === "partial" ? "partial" : "full",
+      seed: normalizeSeed(raw.seed),
+      drill: ["build", "melody"].includes(raw.drill) ? raw.drill : "identify",
+      instrument: INSTRUMENTS.some((i) => i.id === raw.instrument) ? raw.instrument : d.instrument,
+      noteSec: NOTE_SEC_OPTIONS.includes(Number(raw.noteSec)) ? Number(raw.noteSec) : d.noteSec,
+      gapSec: GAP_SEC_OPTIONS.includes(Number(raw.gapSec)) ? Number(raw.gapSec) : d.gapSec,
+      startDelaySec: START_DELAY_SEC_OPTIONS.includes(Number(raw.startDelaySec)) ? Number(raw.startDelaySec) : d.startDelaySec,
+      volume: typeof raw.volume === "number" && Number.isFinite(raw.volume) ? clamp(raw.volume, 0, 1) : d.volume,
+      context: ["cadence", "drone"].includes(raw.context) ? raw.context : "off",
+      contextKey: /^(root|[0-9]|1[01])$/.test(String(raw.contextKey)) ? String(raw.contextKey) : d.contextKey,
+      generation: raw.generation === "diatonic" ? "diatonic" : "chromatic",
+      scaleKey: clampInt(raw.scaleKey ?? d.scaleKey, 0, 11),
+      scale: SCALES.some((sc) => sc.id === raw.scale) ? raw.scale : d.scale,
+      answerMode: ["keyboard", "sing"].includes(raw.answerMode) ? raw.answerMode : "buttons",
+      singToleranceCents: SING_TOLERANCE_OPTIONS.includes(Number(raw.singToleranceCents))
+        ? Number(raw.singToleranceCents)
+        : d.singToleranceCents,
+      singAnyOctave: typeof raw.singAnyOctave === "boolean" ? raw.singAnyOctave : d.singAnyOctave,
+    };
+
+    const maxRoot = MAX_PITCH - maxIntervalSemitones(out.intervals);
+    if (Number.isFinite(Number(raw.fixedRootPitch))) out.fixedRootPitch = clampInt(raw.fixedRootPitch, MIN_PITCH, maxRoot);
+    else out.fixedRootPitch = Math.min(out.fixedRootPitch, maxRoot);
+    return out;
+  }
+
+  function normalizeScore(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const count = (v) => clampInt(v ?? 0, 0, Number.MAX_SAFE_INTEGER);
+    return {
+      asked: count(src.asked),
+      correct: count(src.correct),
+      incorrect: count(src.incorrect),
+      streak: count(src.streak),
+      longest: count(src.longest),
+      points: count(src.points),
+      credit: Number.isFinite(src.credit) ? Math.max(0, src.credit) : count(src.correct),
+      complete: src.complete === true,
+      seed: normalizeSeed(src.seed),
+      rng: Number.isInteger(src.rng) ? src.rng >>> 0 : 0,
+      testLength: count(src.testLength),
+      retry: Array.isArray(src.retry) ? src.retry.filter(retryableEntry) : [],
+      history: Array.isArray(src.history) ? src.history.filter((h) => h && typeof h === "object") : [],
+    };
+  }
+
+  function migrateStoredState(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    let state = raw;
+    let version = Number.isInteger(state.version) ? state.version : 0;
+    // Saved by a newer build: leave it alone rather than guess.
+    if (version > STORAGE_VERSION) return null;
+    while (version < STORAGE_VERSION) {
+      state = STORAGE_MIGRATIONS[version](state);
+      version += 1;
+    }
+    return state;
+  }
+
+  function loadStoredState() {
+    try {
+      const text = localStorage.getItem(STORAGE_KEY);
+      if (!text) return null;
+      const state = migrateStoredState(JSON.parse(text));
+      if (!state) return null;
+      return {
+        savedAt: state.savedAt || null,
+        settings: normalizeSettings(state.settings),
+        score: normalizeScore(state.score),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  function saveProgress() {
+    try {
+      const state = {
+        version: STORAGE_VERSION,
+        savedAt: new Date().toISOString(),
+        settings,
+        score,
+      };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {}
+  }
+
+  function clearStoredData() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+      localStorage.removeItem(PLAYER_NAME_KEY);
+    } catch {}
+  }
+
   // ---------------- UI helpers ----------------
   function setFeedback(html) {
     feedbackOut.innerHTML = html || "";
@@ -680,7 +1336,53 @@ let started = false;
     return Math.round((score.correct / score.asked) * 1000) / 10;
   }
 
+  function creditPercent() {
+    if (score.asked <= 0) return 0;
+    return Math.round((score.credit / score.asked) * 1000) / 10;
+  }
+
+  // Grades follow the credit when replays cost marks.
+  function gradePercent() {
+    return settings.replayScoring === "partial" ? creditPercent() : scorePercent();
+  }
+
+  function replayCount() {
+    return score.history.reduce((sum, h) => sum + (h.replays ?? 0), 0);
+  }
+
+  function responseTimes() {
+    return score.history.map((h) => h.responseMs).filter((ms) => Number.isFinite(ms));
+  }
+
+  function averageResponseMs() {
+    const times = responseTimes();
+    return times.length ? times.reduce((a, b) => a + b, 0) / times.length : null;
+  }
+
+  function fastestResponseMs() {
+    const times = responseTimes();
+    return times.length ? Math.min(...times) : null;
+  }
+
+  // Melody questions are one history entry with a part per step; per-interval views look at the parts.
+  // Parts carry no time of their own (the answer time covers the whole melody).
+  function historyEntryParts(h) {
+    return Array.isArray(h.parts) ? h.parts.map((part) => ({ ...h, responseMs: null, ...part })) : [h];
+  }
+
+  function historyParts() {
+    return score.history.flatMap(historyEntryParts);
+  }
+
   function renderScore() {
+    if (hidesFeedback()) {
+      scoreOut.innerHTML =
+        `<div class="scoreGrid scoreGridVertical"><div class="scoreItem"><span class="scoreK">Questions answered</span>` +
+        `<span class="scoreV">${score.asked} of ${score.testLength}</span></div></div>` +
+        `<div class="settingsHint">Your score appears when the test ends.</div>`;
+      return;
+    }
+
     const items = [
       ["Questions asked", score.asked],
       ["Answers correct", score.correct],
@@ -688,7 +1390,12 @@ let started = false;
       ["Correct in a row", score.streak],
       ["Longest correct streak", Math.max(score.longest, score.streak)],
       ["Percentage correct", `${scorePercent()}%`],
+      ["Replays used", replayCount()],
+      ["Average answer time", formatSeconds(averageResponseMs())],
+      ["Fastest answer", formatSeconds(fastestResponseMs())],
     ];
+    if (settings.replayScoring === "partial") items.push(["Score with replay credit", `${creditPercent()}%`]);
+    if (settings.timedMode !== "off") items.push(["Points", score.points]);
 
     scoreOut.innerHTML =
       `<div class="scoreGrid scoreGridVertical">` +
@@ -707,22 +1414,84 @@ let started = false;
     return Math.max(lo, Math.min(hi, n));
   }
 
+  const DIRECTIONS = ["ascending", "descending", "harmonic"];
+
+  function timedModeLabel() {
+    if (settings.timedMode === "questions") return `${settings.timedQuestions} questions`;
+    if (settings.timedMode === "clock") return `${formatClock(settings.timedSeconds * 1000)} countdown`;
+    return "Off";
+  }
+
+  function directionLabel(direction) {
+    if (direction === "descending") return "Descending";
+    if (direction === "harmonic") return "Harmonic";
+    if (direction === "mixed") return "Random mix";
+    return "Ascending";
+  }
+
   function activeIntervals() {
-    const n = clampInt(settings.intervalCount, 2, IVL_ALL.length);
-    return IVL_ALL.slice(0, n);
+    return IVL_ALL.filter((i) => settings.intervals.includes(i.code));
+  }
+
+  function maxIntervalSemitones(codes) {
+    const chosen = IVL_ALL.filter((i) => codes.includes(i.code));
+    if (!chosen.length) return 0;
+    return Math.max(...chosen.map((i) => i.semitones));
+  }
+
+  function sameCodeSet(a, b) {
+    return a.length === b.length && a.every((c) => b.includes(c));
+  }
+
+  function presetForCodes(codes) {
+    const advanced = codes.some(isAdvancedCode);
+    return INTERVAL_PRESETS.find((p) => sameCodeSet(withQualityCodes(p.codes, advanced), codes)) || null;
+  }
+
+  function isAdvancedCode(code) {
+    return IVL_ADVANCED.some((i) => i.code === code);
+  }
+
+  // With augmented/diminished qualities on, the combined "A4/d5" tritone becomes separate A4 and d5;
+  // with them off, the qualities are dropped and A4 or d5 fold back into "A4/d5". Keeps IVL_ALL order.
+  function withQualityCodes(codes, advanced) {
+    let out = codes.slice();
+    if (advanced) {
+      if (out.includes("A4/d5")) out = out.filter((c) => c !== "A4/d5").concat(["A4", "d5"]);
+    } else {
+      if (out.includes("A4") || out.includes("d5")) out.push("A4/d5");
+      out = out.filter((c) => !isAdvancedCode(c));
+    }
+    return IVL_ALL.map((i) => i.code).filter((c) => out.includes(c));
+  }
+
+  function intervalSetLabel(codes) {
+    const preset = presetForCodes(codes);
+    if (preset) return preset.label;
+    return IVL_ALL.filter((i) => codes.includes(i.code))
+      .map((i) => i.code)
+      .join(", ");
   }
 
   function updateControls() {
-    replayBtn.disabled = !started || !question;
-    replayBtn.classList.toggle("pulse", started && !!question && !awaitingNext);
+    const live = started && !score.complete;
+    const left = replaysLeft();
+    replayBtn.disabled = !live || !question || (!awaitingNext && left === 0);
+    replayBtn.textContent = live && !awaitingNext && Number.isFinite(left) ? `Replay Interval (${left} left)` : "Replay Interval";
+    replayBtn.classList.toggle("pulse", live && !!question && !awaitingNext);
 
-    const answersDisabled = !started || awaitingNext || !canAnswer || !question;
+    const answersDisabled = !live || awaitingNext || !canAnswer || !question;
     answerButtons.querySelectorAll("button").forEach((b) => (b.disabled = answersDisabled));
 
-    nextBtn.disabled = !started || !awaitingNext;
-    nextBtn.classList.toggle("nextReady", started && awaitingNext);
+    nextBtn.disabled = !live || !awaitingNext;
+    nextBtn.classList.toggle("nextReady", live && awaitingNext);
 
-    downloadScoreBtn.disabled = !started;
+    // A finished or imported session can still be exported for review; a test hiding answers can't until it ends.
+    const hidden = hidesFeedback();
+    statsBtn.disabled = hidden;
+    downloadScoreBtn.disabled = hidden || (!started && score.asked === 0);
+    exportCsvBtn.disabled = hidden || score.history.length === 0;
+    exportJsonBtn.disabled = hidden || score.history.length === 0;
   }
 
   function clearAnswerMarks() {
@@ -745,25 +1514,115 @@ let started = false;
       .join(" ");
   }
 
-  function populateIntervalCountOptions() {
-    intervalCountSel.innerHTML = "";
-    for (let n = 2; n <= IVL_ALL.length; n++) {
-      const last = IVL_ALL[n - 1];
+  function populateIntervalPresetOptions() {
+    intervalPresetSel.innerHTML = "";
+    for (const preset of INTERVAL_PRESETS) {
+      const opt = document.createElement("option");
+      opt.value = preset.id;
+      opt.textContent = preset.label;
+      intervalPresetSel.appendChild(opt);
+    }
+    const custom = document.createElement("option");
+    custom.value = "custom";
+    custom.textContent = "Custom selection";
+    intervalPresetSel.appendChild(custom);
+  }
+
+  function populateInstrumentOptions() {
+    instrumentSel.innerHTML = "";
+    for (const inst of INSTRUMENTS) {
       const opt = document.createElement("option");
-      opt.value = String(n);
-      opt.textContent = `Intervals: ${n} (m2 → ${last.code})`;
-      intervalCountSel.appendChild(opt);
+      opt.value = inst.id;
+      opt.textContent = inst.label;
+      instrumentSel.appendChild(opt);
+    }
+  }
+
+  function populateIntervalPicker() {
+    intervalPicker.innerHTML = "";
+    for (const itv of IVL_ALL) {
+      const lbl = document.createElement("label");
+      lbl.className = "intervalChoice";
+      if (itv.compound) lbl.classList.add("intervalChoiceCompound");
+      if (itv.advanced) lbl.classList.add("intervalChoiceAdvanced");
+      if (itv.code === "A4/d5") lbl.classList.add("intervalChoiceTritone");
+      lbl.title = titleCase(itv.name);
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.value = itv.code;
+
+      lbl.appendChild(cb);
+      lbl.appendChild(document.createTextNode(` ${itv.code}`));
+      intervalPicker.appendChild(lbl);
+    }
+  }
+
+  function pickerSelectedCodes() {
+    return [...intervalPicker.querySelectorAll("input[type=checkbox]")]
+      .filter((cb) => cb.checked)
+      .map((cb) => cb.value);
+  }
+
+  function setPickerSelection(codes) {
+    intervalPicker.querySelectorAll("input[type=checkbox]").forEach((cb) => {
+      cb.checked = codes.includes(cb.value);
+    });
+  }
+
+  // Compound intervals are opt-in: unticking the toggle also drops them from the selection.
+  function syncCompoundUi() {
+    const on = compoundChk.checked;
+    intervalPicker.classList.toggle("showCompound", on);
+    if (!on) {
+      const simpleOnly = pickerSelectedCodes().filter((c) => !IVL_COMPOUND.some((i) => i.code === c));
+      setPickerSelection(simpleOnly);
     }
+    syncPresetOptions();
+  }
+
+  function syncAdvancedUi() {
+    const on = advancedChk.checked;
+    intervalPicker.classList.toggle("showAdvanced", on);
+    setPickerSelection(withQualityCodes(pickerSelectedCodes(), on));
+    syncPresetOptions();
+  }
+
+  function syncPresetOptions() {
+    [...intervalPresetSel.options].forEach((opt) => {
+      const preset = INTERVAL_PRESETS.find((p) => p.id === opt.value);
+      opt.hidden = (!!preset?.compound && !compoundChk.checked) || (!!preset?.advanced && !advancedChk.checked);
+    });
+  }
+
+  function syncIntervalPickerUi() {
+    const codes = pickerSelectedCodes();
+    const preset = presetForCodes(codes);
+    intervalPresetSel.value = preset ? preset.id : "custom";
+
+    const enough = codes.length >= MIN_INTERVALS_SELECTED;
+    intervalPickerHint.classList.toggle("settingsWarn", !enough);
+    intervalPickerHint.textContent = enough
+      ? `${codes.length} intervals selected.`
+      : `Choose at least ${MIN_INTERVALS_SELECTED} intervals.`;
+    syncScaleFitUi();
   }
 
-  function maxIntervalSemitonesForCount(count) {
-    const n = clampInt(count, 2, IVL_ALL.length);
-    return IVL_ALL[n - 1].semitones;
+  // Diatonic questions need a chosen interval that occurs in the scale; Apply waits until one does.
+  function syncScaleFitUi() {
+    const codes = pickerSelectedCodes();
+    const k = { tonic: Number(scaleKeySel.value), scale: SCALES.find((sc) => sc.id === scaleSel.value) || SCALES[0] };
+    const fits =
+      generationSel.value !== "diatonic" || IVL_ALL.some((itv) => codes.includes(itv.code) && diatonicRoots(itv, k).length);
+    scaleFitHint.classList.toggle("hidden", fits);
+    scaleFitHint.textContent = fits
+      ? ""
+      : `None of the chosen intervals occur in ${keyLabel(k)}. Choose other intervals, or another key or scale.`;
+    settingsApply.disabled = codes.length < MIN_INTERVALS_SELECTED || !fits;
   }
 
   function buildRootOptions() {
-    const count = clampInt(intervalCountSel.value, 2, IVL_ALL.length);
-    const maxSemi = maxIntervalSemitonesForCount(count);
+    const maxSemi = maxIntervalSemitones(pickerSelectedCodes());
     const maxRoot = MAX_PITCH - maxSemi;
 
     rootNoteSel.innerHTML = "";
@@ -785,6 +1644,79 @@ let started = false;
     rootNoteSel.disabled = rootModeSel.value !== "fixed";
   }
 
+  function syncAnswerModeUi() {
+    // Building always answers on the keyboard, melodies with the buttons.
+    answerModeSel.disabled = drillSel.value !== "identify";
+    const sing = !answerModeSel.disabled && answerModeSel.value === "sing";
+    singToleranceSel.disabled = !sing;
+    singAnyOctaveChk.disabled = !sing;
+  }
+
+  function populateContextKeyOptions() {
+    contextKeySel.innerHTML = "";
+    const add = (value, label) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      contextKeySel.appendChild(opt);
+    };
+    add("root", "The question’s root note");
+    PC_NAMES_SHARP.forEach((name, pc) => {
+      const flat = PC_NAMES_FLAT[pc];
+      add(String(pc), `${name === flat ? name : `${name} / ${flat}`} major`);
+    });
+  }
+
+  function populateScaleOptions() {
+    scaleKeySel.innerHTML = "";
+    PC_NAMES_SHARP.forEach((name, pc) => {
+      const flat = PC_NAMES_FLAT[pc];
+      const opt = document.createElement("option");
+      opt.value = String(pc);
+      opt.textContent = name === flat ? name : `${name} / ${flat}`;
+      scaleKeySel.appendChild(opt);
+    });
+
+    scaleSel.innerHTML = "";
+    for (const sc of SCALES) {
+      const opt = document.createElement("option");
+      opt.value = sc.id;
+      opt.textContent = sc.label;
+      scaleSel.appendChild(opt);
+    }
+  }
+
+  function syncGenerationUi() {
+    const diatonic = generationSel.value === "diatonic";
+    scaleKeySel.disabled = !diatonic;
+    scaleSel.disabled = !diatonic;
+    syncScaleFitUi();
+  }
+
+  function syncContextUi() {
+    contextKeySel.disabled = contextSel.value === "off";
+  }
+
+  function syncVolumeUi() {
+    volumeOut.textContent = `${volumeRange.value}%`;
+  }
+
+  function syncSeedUi() {
+    seedHint.innerHTML = score.seed
+      ? `This game’s seed: <code>${escapeHtml(score.seed)}</code> ` +
+        `<button type="button" class="linkBtn" data-use-seed>Use it</button>`
+      : "Leave blank for a new sequence each game.";
+  }
+
+  function syncTestModeUi() {
+    testQuestionsSel.disabled = testModeSel.value === "off";
+  }
+
+  function syncTimedModeUi() {
+    timedQuestionsSel.disabled = timedModeSel.value !== "questions";
+    timedSecondsSel.disabled = timedModeSel.value !== "clock";
+  }
+
   function showSettingsModal({ purpose } = { purpose: "begin" }) {
     stopAllAudio(0.06);
     if (purpose === "settings") playUiSound(SND_SELECT);
@@ -797,8 +1729,44 @@ let started = false;
     const card = settingsModal.querySelector('.modalCard');
     if (card) card.scrollTop = 0;
 
-    intervalCountSel.value = String(settings.intervalCount);
+    setPickerSelection(settings.intervals);
+    compoundChk.checked = settings.intervals.some((c) => IVL_COMPOUND.some((i) => i.code === c));
+    advancedChk.checked = settings.intervals.some(isAdvancedCode);
+    syncCompoundUi();
+    syncAdvancedUi();
+    syncIntervalPickerUi();
     rootModeSel.value = settings.rootMode;
+    directionSel.value = settings.direction;
+    selectionSel.value = settings.selection;
+    timedModeSel.value = settings.timedMode;
+    timedQuestionsSel.value = String(settings.timedQuestions);
+    testModeSel.value = settings.testMode;
+    testQuestionsSel.value = String(settings.testQuestions);
+    maxReplaysSel.value = String(settings.maxReplays);
+    replayScoringSel.value = settings.replayScoring;
+    syncTestModeUi();
+    seedInput.value = settings.seed;
+    syncSeedUi();
+    timedSecondsSel.value = String(settings.timedSeconds);
+    syncTimedModeUi();
+    drillSel.value = settings.drill;
+    instrumentSel.value = settings.instrument;
+    noteSecSel.value = String(settings.noteSec);
+    gapSecSel.value = String(settings.gapSec);
+    startDelaySel.value = String(settings.startDelaySec);
+    volumeRange.value = String(Math.round(settings.volume * 100));
+    syncVolumeUi();
+    contextSel.value = settings.context;
+    contextKeySel.value = settings.contextKey;
+    syncContextUi();
+    generationSel.value = settings.generation;
+    scaleKeySel.value = String(settings.scaleKey);
+    scaleSel.value = settings.scale;
+    syncGenerationUi();
+    answerModeSel.value = settings.answerMode;
+    singToleranceSel.value = String(settings.singToleranceCents);
+    singAnyOctaveChk.checked = settings.singAnyOctave;
+    syncAnswerModeUi();
     buildRootOptions();
     rootNoteSel.value = String(settings.fixedRootPitch);
     syncRootModeUi();
@@ -806,6 +1774,16 @@ let started = false;
     const isBegin = purpose === "begin" || !started;
     settingsApply.textContent = isBegin ? "Begin Game" : "Apply & Restart";
     settingsApply.classList.toggle("pulse", isBegin);
+
+    const canResume = isBegin && !started && !!savedSession && !savedSession.score.complete;
+    settingsResume.classList.toggle("hidden", !canResume);
+    if (canResume) {
+      const n = savedSession.score.asked;
+      settingsResume.textContent = `Resume previous session (${n} question${n === 1 ? "" : "s"})`;
+    }
+    settingsLockNote.classList.toggle("hidden", !settingsLockedByLink);
+    if (settingsLockedByLink) settingsGrid.querySelectorAll("input, select, button").forEach((c) => (c.disabled = true));
+
     // Hide Close on the initial locked modal.
     settingsClose.classList.toggle("hidden", settingsModalLocked);
     // Make overlay click behavior explicit.
@@ -820,16 +1798,171 @@ let started = false;
   }
 
   // ---------------- question generation ----------------
+  // Every random choice below comes from a seeded generator (mulberry32), so the same seed and settings
+  // give the same questions. Adaptive selection still follows the player's own answers.
+  const SEED_MAX_LENGTH = 24;
+  let rngState = 0;
+
+  function normalizeSeed(v) {
+    return String(v ?? "")
+      .trim()
+      .replace(/[^\w-]/g, "")
+      .slice(0, SEED_MAX_LENGTH);
+  }
+
+  function newSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, "0");
+  }
+
+  // FNV-1a, so any seed text maps to a 32-bit generator state.
+  function seedRandom(seed) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 0x01000193);
+    rngState = h >>> 0;
+  }
+
+  function random() {
+    rngState = (rngState + 0x6d2b79f5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  function randomPick(list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
   function randIntInclusive(lo, hi) {
     const a = Math.ceil(lo);
     const b = Math.floor(hi);
     if (b < a) return a;
-    return a + Math.floor(Math.random() * (b - a + 1));
+    return a + Math.floor(random() * (b - a + 1));
+  }
+
+  // ---------------- adaptive selection ----------------
+  // Replays score.history to find which intervals are due for spaced review.
+  // A miss (re)starts an interval at stage 0; a correct answer once it is due moves it up a stage,
+  // and it leaves the schedule after the last gap.
+  function reviewScheduleFromHistory() {
+    const schedule = new Map();
+    score.history.forEach((entry, i) => {
+      const askedAfter = i + 1;
+      for (const h of historyEntryParts(entry)) {
+        const due = schedule.get(h.interval);
+        if (!h.correct) {
+          schedule.set(h.interval, { stage: 0, due: askedAfter + ADAPTIVE_REVIEW_GAPS[0] });
+          continue;
+        }
+        if (!due || askedAfter < due.due) continue;
+        const stage = due.stage + 1;
+        if (stage >= ADAPTIVE_REVIEW_GAPS.length) schedule.delete(h.interval);
+        else schedule.set(h.interval, { stage, due: askedAfter + ADAPTIVE_REVIEW_GAPS[stage] });
+      }
+    });
+    return schedule;
+  }
+
+  // Weight = floor + smoothed recent error rate + a boost per recent confusion involving the interval.
+  function computeIntervalWeights(list) {
+    const parts = historyParts();
+    const confusionWindow = parts.slice(-ADAPTIVE_CONFUSION_WINDOW).filter((h) => !h.correct);
+
+    return list.map((itv) => {
+      const recent = parts.filter((h) => h.interval === itv.code).slice(-ADAPTIVE_WINDOW);
+      const errors = recent.filter((h) => !h.correct).length;
+      const errRate = (errors + 1) / (recent.length + 2);
+      const confusions = confusionWindow.filter((h) => h.interval === itv.code || h.guess === itv.code).length;
+      const weight = 0.15 + errRate + 0.15 * confusions;
+      return { interval: itv, attempts: recent.length, errRate, confusions, weight };
+    });
+  }
+
+  function pickAdaptiveInterval(list) {
+    const schedule = reviewScheduleFromHistory();
+    const due = list
+      .map((itv) => ({ itv, entry: schedule.get(itv.code) }))
+      .filter((x) => x.entry && x.entry.due <= score.asked)
+      .sort((a, b) => a.entry.due - b.entry.due);
+
+    if (due.length) {
+      const { itv, entry } = due[0];
+      return {
+        interval: itv,
+        reason: `spaced review of ${itv.code} (stage ${entry.stage + 1} of ${ADAPTIVE_REVIEW_GAPS.length}, due since question ${entry.due})`,
+      };
+    }
+
+    const weights = computeIntervalWeights(list);
+    const total = weights.reduce((sum, w) => sum + w.weight, 0);
+    let r = random() * total;
+    for (const w of weights) {
+      r -= w.weight;
+      if (r < 0) {
+        return {
+          interval: w.interval,
+          reason: `weighted pick of ${w.interval.code} (${Math.round((w.weight / total) * 100)}% chance)`,
+        };
+      }
+    }
+    const last = weights[weights.length - 1];
+    return { interval: last.interval, reason: `weighted pick of ${last.interval.code}` };
+  }
+
+  function pickInterval(list) {
+    if (settings.selection === "adaptive") return pickAdaptiveInterval(list);
+    return { interval: randomPick(list), reason: "uniform random pick" };
+  }
+
+  function renderAdaptiveDebug() {
+    const on = settings.selection === "adaptive";
+    adaptiveDebug.classList.toggle("hidden", !on);
+    if (!on) return;
+
+    const list = activeIntervals();
+    const weights = computeIntervalWeights(list);
+    const total = weights.reduce((sum, w) => sum + w.weight, 0) || 1;
+    const schedule = reviewScheduleFromHistory();
+
+    // A test that holds feedback back can't show the live error rates (or the weights built from them).
+    const hidden = hidesFeedback();
+    const rows = weights
+      .map((w) => {
+        if (hidden) return `<tr><td>${w.interval.code}</td>${"<td>—</td>".repeat(6)}</tr>`;
+        const entry = schedule.get(w.interval.code);
+        const review = entry ? `Q${entry.due}${entry.due <= score.asked ? " (due)" : ""}` : "—";
+        return (
+          `<tr><td>${w.interval.code}</td><td>${w.attempts}</td>` +
+          `<td>${Math.round(w.errRate * 100)}%</td><td>${w.confusions}</td>` +
+          `<td>${w.weight.toFixed(2)}</td><td>${Math.round((w.weight / total) * 100)}%</td>` +
+          `<td>${review}</td></tr>`
+        );
+      })
+      .join("");
+
+    // The reason names the interval, so it is only revealed once the question has been answered.
+    let why = "Answer the current question to see why it was chosen.";
+    if (!question) why = "No question yet.";
+    else if (awaitingNext && !hidesFeedback()) why = `Last question chosen by ${question.reason}.`;
+
+    adaptiveDebugOut.innerHTML =
+      `<div class="debugWhy">${why}</div>` +
+      `<table class="debugTable">` +
+      `<thead><tr><th>Interval</th><th>Recent</th><th>Error rate</th><th>Confusions</th>` +
+      `<th>Weight</th><th>Chance</th><th>Review</th></tr></thead>` +
+      `<tbody>${rows}</tbody></table>`;
   }
 
   function pickQuestion() {
+    if (score.retry.length) return questionFromHistory(score.retry.shift());
+    if (settings.drill === "melody") return pickMelodyQuestion();
+    if (settings.generation === "diatonic") {
+      const q = pickDiatonicQuestion();
+      if (q) return q;
+    }
+
     const list = activeIntervals();
-    const interval = list[Math.floor(Math.random() * list.length)];
+    const { interval, reason } = pickInterval(list);
     const d = interval.semitones;
 
     let rootPitch = settings.fixedRootPitch;
@@ -844,76 +1977,646 @@ let started = false;
     if (rootPitch < MIN_PITCH || rootPitch > MAX_PITCH) return null;
     if (highPitch < MIN_PITCH || highPitch > MAX_PITCH) return null;
 
-    return { rootPitch, highPitch, interval };
+    const q = { rootPitch, highPitch, interval, direction: pickDirection(), reason };
+    return Object.assign(q, spellQuestion(q));
   }
 
-  async function playCurrentInterval({ allowAnswerAfter = true, delaySec = 0 } = {}) {
-    if (!started || !question) return;
+  function pickDirection() {
+    return settings.direction === "mixed"
+      ? randomPick(DIRECTIONS)
+      : settings.direction;
+  }
 
-    const token = ++lastPlayToken;
+  // ---------------- diatonic generation ----------------
+  function activeScale() {
+    return SCALES.find((sc) => sc.id === settings.scale) || SCALES[0];
+  }
 
-    if (allowAnswerAfter) {
-      canAnswer = false;
-      awaitingNext = false;
-    } else {
-      canAnswer = false;
-    }
-    updateControls();
+  // The helpers below take a key ({ tonic, scale }) so the settings modal can check one before it is applied.
+  function currentKey() {
+    return { tonic: settings.scaleKey, scale: activeScale() };
+  }
 
-    // Requirement: note playback stops any other sounds (including UI correct/incorrect sounds).
-    stopAllAudio(0.08);
-    await resumeAudioIfNeeded();
+  // Scale degree (1–7) of a pitch in the key, or null when it's outside the scale.
+  function scaleDegree(pitch, k = currentKey()) {
+    const idx = k.scale.steps.indexOf(pcFromPitch(pitch - k.tonic));
+    return idx < 0 ? null : idx + 1;
+  }
 
-    const ctx = ensureAudioGraph();
-    if (!ctx) return;
+  // Lower notes that keep both notes of the interval in the scale (and in range), spelled in the key as
+  // that interval. A predetermined root is honoured when it fits.
+  function diatonicRoots(itv, k = currentKey()) {
+    const roots = [];
+    for (let p = MIN_PITCH; p + itv.semitones <= MAX_PITCH; p++) {
+      if (scaleDegree(p, k) && scaleDegree(p + itv.semitones, k) && spellsInKeyAs(p, p + itv.semitones, itv, k)) roots.push(p);
+    }
+    if (settings.rootMode === "fixed" && roots.includes(settings.fixedRootPitch)) return [settings.fixedRootPitch];
+    return roots;
+  }
+
+  // Scale notes are graded on their spelling in the key, so B–F in C major is a d5, never an A4.
+  function spellsInKeyAs(low, high, itv, k = currentKey()) {
+    return itv.code.split("/").includes(spelledIntervalCode(spellInKey(low, k), spellInKey(high, k)));
+  }
+
+  // Only intervals that occur in the scale are asked. The settings modal won't apply a key none of them
+  // fit; settings from a link or the host API fall back to chromatic.
+  function pickDiatonicQuestion() {
+    const list = activeIntervals().filter((itv) => diatonicRoots(itv).length);
+    if (!list.length) return null;
+
+    const { interval, reason } = pickInterval(list);
+    const roots = diatonicRoots(interval);
+    const rootPitch = randomPick(roots);
+    const q = { rootPitch, highPitch: rootPitch + interval.semitones, interval, direction: pickDirection(), reason };
+    return Object.assign(q, spellDiatonic(q));
+  }
+
+  // Tonic spelling whose scale needs the fewest accidentals (each letter once, no doubles if possible).
+  function keySpelling(k = currentKey()) {
+    const pc = k.tonic;
+    const steps = k.scale.steps;
+    const options = [...new Set([PC_NAMES_SHARP[pc], PC_NAMES_FLAT[pc]])].map((name) => {
+      const tonic = parseNoteName(name, 0);
+      const accs = steps.map((st, i) => {
+        const letter = (tonic.letter + i) % 7;
+        return ((((pc + st - LETTER_PCS[letter]) % 12) + 18) % 12) - 6;
+      });
+      const cost = accs.reduce((sum, a) => sum + Math.abs(a) + (Math.abs(a) > 1 ? 10 : 0), 0);
+      return { tonic, cost };
+    });
+    return options.reduce((best, o) => (o.cost < best.cost ? o : best)).tonic;
+  }
+
+  function keyLabel(k = currentKey()) {
+    const tonic = keySpelling(k);
+    return `${LETTERS[tonic.letter]}${ACCIDENTAL_SIGNS[tonic.acc]} ${k.scale.label.replace(/ \(.*\)$/, "").toLowerCase()}`;
+  }
+
+  // Spells a scale note with its degree's letter.
+  function spellInKey(pitch, k = currentKey()) {
+    return spellingWithLetter(pitch, (keySpelling(k).letter + scaleDegree(pitch, k) - 1) % 7);
+  }
+
+  function spellDiatonic(q) {
+    const low = spellInKey(q.rootPitch);
+    const high = spellInKey(q.highPitch);
+    return {
+      spelled: { [q.rootPitch]: spellingLabel(low), [q.highPitch]: spellingLabel(high) },
+      spelledCode: spelledIntervalCode(low, high),
+      degrees: { [q.rootPitch]: scaleDegree(q.rootPitch), [q.highPitch]: scaleDegree(q.highPitch) },
+      key: keyLabel(),
+    };
+  }
+
+  // "3̂ → 6̂" in the order the notes sound.
+  function degreesLabel(q) {
+    const [first, second] = questionNoteOrder(q);
+    const joiner = q.direction === "harmonic" ? " + " : " → ";
+    return `${q.degrees[first]}\u0302${joiner}${q.degrees[second]}\u0302`;
+  }
+
+  // Pitches in the order they sound: [first, second]. Harmonic intervals list the lower note first.
+  function questionNoteOrder(q) {
+    if (q.direction === "descending") return [q.highPitch, q.rootPitch];
+    return [q.rootPitch, q.highPitch];
+  }
+
+  // Spelled against the first note when the question carries a spelling, otherwise its sharp name.
+  function questionPitchLabel(q, pitch) {
+    return q.spelled?.[pitch] ?? pitchLabel(pitch);
+  }
+
+  function questionNotesLabel(q) {
+    const [first, second] = questionNoteOrder(q);
+    const joiner = q.direction === "harmonic" ? " + " : " → ";
+    return `<strong>${questionPitchLabel(q, first)}</strong>${joiner}<strong>${questionPitchLabel(q, second)}</strong>`;
+  }
+
+  function playLoadedNote(loaded, whenSec, playSec, sampleGain) {
+    if (loaded.buffer) playBufferWindowed(loaded.buffer, whenSec, playSec, 0.08, sampleGain);
+    else playSynthToneWindowed(loaded.pitch, whenSec, playSec, 0.08, sampleGain, synthVoice());
+  }
+
+  async function playCurrentInterval({ allowAnswerAfter = true, delaySec = 0 } = {}) {
+    if (!started || !question) return;
+
+    const token = ++lastPlayToken;
+
+    if (allowAnswerAfter) {
+      canAnswer = false;
+      awaitingNext = false;
+    } else {
+      canAnswer = false;
+    }
+    updateControls();
+
+    // Requirement: note playback stops any other sounds (including UI correct/incorrect sounds).
+    stopAllAudio(0.08);
+    await resumeAudioIfNeeded();
+
+    const ctx = ensureAudioGraph();
+    if (!ctx) return;
 
     const safeDelay = Math.max(0, Number.isFinite(delaySec) ? delaySec : 0);
     const t0 = ctx.currentTime + 0.03 + safeDelay;
 
-    const [a1, a2] = await Promise.all([
-      loadPitchBuffer(question.rootPitch),
-      loadPitchBuffer(question.highPitch),
-    ]);
-
-    const missing = [a1, a2].find((r) => r && r.missingUrl);
-    if (missing?.missingUrl) maybeWarnSynthFallback(missing.missingUrl);
+    const [firstPitch, secondPitch] = questionNoteOrder(question);
+    // Sing-back and the build drill: only the first note is played until the question has been answered
+    // (or, in a test that hides answers, until the test ends).
+    const firstOnly = (answerMode() === "sing" || settings.drill === "build") && (!awaitingNext || hidesFeedback());
+
+    let notes;
+    if (question.melody) {
+      notes = question.melody.map((pitch, i) => ({ pitch, at: i * secondNoteOffsetSec(), dur: settings.noteSec, gain: 0.85 }));
+    } else if (firstOnly) {
+      notes = [{ pitch: firstPitch, at: 0, dur: settings.noteSec, gain: 0.85 }];
+    } else if (question.direction === "harmonic") {
+      // Both notes together; scale down so the sum doesn't clip.
+      notes = [
+        { pitch: firstPitch, at: 0, dur: settings.noteSec, gain: 0.6 },
+        { pitch: secondPitch, at: 0, dur: settings.noteSec, gain: 0.6 },
+      ];
+    } else {
+      notes = [
+        { pitch: firstPitch, at: 0, dur: settings.noteSec, gain: 0.85 },
+        { pitch: secondPitch, at: secondNoteOffsetSec(), dur: settings.noteSec, gain: 0.85 },
+      ];
+    }
+    const { notes: withCtx, leadSec } = withContext(question, notes);
+    await scheduleNotes(t0, withCtx);
 
+    // Answers unlock (and the mic listens) from when the interval itself starts, after any context.
+    const intervalAt = t0 + leadSec;
     if (allowAnswerAfter) {
-      const startInMs = Math.max(0, Math.round((t0 - ctx.currentTime) * 1000));
+      const startInMs = Math.max(0, Math.round((intervalAt - ctx.currentTime) * 1000));
       window.setTimeout(() => {
         if (token !== lastPlayToken) return;
         if (!awaitingNext) {
           canAnswer = true;
+          // Reaction time runs from the first time answers unlock, not from later replays.
+          if (question && question.unlockedAt == null) question.unlockedAt = performance.now();
           updateControls();
         }
       }, startInMs);
     }
 
-    if (a1.buffer) playBufferWindowed(a1.buffer, t0, NOTE_PLAY_SEC, 0.08, 0.85);
-    else playSynthToneWindowed(question.rootPitch, t0, NOTE_PLAY_SEC, 0.08, 0.25);
+    if (firstOnly && allowAnswerAfter && answerMode() === "sing") {
+      scheduleSingListening(token, Math.round((intervalAt + settings.noteSec + 0.15 - ctx.currentTime) * 1000));
+    }
+  }
 
-    if (a2.buffer) playBufferWindowed(a2.buffer, t0 + NOTE_PLAY_SEC + GAP_SEC, NOTE_PLAY_SEC, 0.08, 0.85);
-    else playSynthToneWindowed(question.highPitch, t0 + NOTE_PLAY_SEC + GAP_SEC, NOTE_PLAY_SEC, 0.08, 0.25);
+  // ---------------- key context (cadence / drone) ----------------
+  const CADENCE_CHORD_SEC = 0.62;
+  const CADENCE_PAUSE_SEC = 0.45;
+  const DRONE_LEAD_SEC = 1.2;
+  // I–IV–V–I as semitone offsets from the tonic: bass first, then the upper voices.
+  const CADENCE_CHORDS = [
+    [-12, 0, 4, 7],
+    [-7, 0, 5, 9],
+    [-5, -1, 2, 7],
+    [-12, 0, 4, 7],
+  ];
+
+  // "Root" follows the chosen key when questions are diatonic.
+  function contextTonicPc(q) {
+    if (settings.contextKey !== "root") return Number(settings.contextKey);
+    return q.degrees ? settings.scaleKey : pcFromPitch(q.rootPitch);
   }
 
-  async function startNewRound({ autoplay = true } = {}) {
+  // Cadence around the tonic in octave 3, drone (tonic + fifth) in octave 2: both stay inside C2..C6.
+  function contextPitches(pc) {
+    if (settings.context === "cadence") {
+      const tonic = pitchFromPcOct(pc, 3);
+      return [...new Set(CADENCE_CHORDS.flat())].map((off) => tonic + off);
+    }
+    if (settings.context === "drone") {
+      const tonic = pitchFromPcOct(pc, 2);
+      return [tonic, tonic + 7];
+    }
+    return [];
+  }
+
+  // Puts the key context in front of (cadence) or under (drone) the interval's notes.
+  // Returns the combined notes and how far the interval was pushed back.
+  function withContext(q, notes) {
+    if (settings.context === "off") return { notes, leadSec: 0 };
+
+    const pc = contextTonicPc(q);
+    const shift = (lead) => notes.map((n) => ({ ...n, at: n.at + lead }));
+
+    if (settings.context === "cadence") {
+      const tonic = pitchFromPcOct(pc, 3);
+      const chords = CADENCE_CHORDS.flatMap((chord, i) =>
+        chord.map((off) => ({ pitch: tonic + off, at: i * CADENCE_CHORD_SEC, dur: CADENCE_CHORD_SEC * 0.95, gain: 0.4 }))
+      );
+      const lead = CADENCE_CHORDS.length * CADENCE_CHORD_SEC + CADENCE_PAUSE_SEC;
+      return { notes: chords.concat(shift(lead)), leadSec: lead };
+    }
+
+    const end = DRONE_LEAD_SEC + Math.max(...notes.map((n) => n.at + n.dur));
+    const drone = contextPitches(pc).map((pitch) => ({ pitch, at: 0, dur: end, gain: 0.3 }));
+    return { notes: drone.concat(shift(DRONE_LEAD_SEC)), leadSec: DRONE_LEAD_SEC };
+  }
+
+  // When the second note of a melodic interval starts, relative to the first.
+  function secondNoteOffsetSec() {
+    return Math.max(0, settings.noteSec + settings.gapSec);
+  }
+
+  // Loads each note's sample (or synth fallback) and schedules it at t0 + note.at seconds.
+  async function scheduleNotes(t0, notes) {
+    const loaded = await Promise.all(notes.map((n) => loadPitchBuffer(n.pitch)));
+
+    const missing = loaded.find((r) => r && r.missingUrl);
+    if (missing?.missingUrl) maybeWarnSynthFallback(missing.missingUrl);
+
+    notes.forEach((n, i) => playLoadedNote(loaded[i], t0 + n.at, n.dur, n.gain));
+  }
+
+  // ---------------- reference songs ----------------
+  // Tunes come from references.json so teachers can edit them without touching the code.
+  const REFERENCES_URL = "references.json";
+  const REFERENCE_DEFAULT_TEMPO = 110;
+  const REFERENCE_DIRECTIONS = ["ascending", "descending"];
+
+  // { tempo, intervals: { [code]: { ascending: [tune], descending: [tune] } } } once loaded.
+  let references = null;
+
+  function normalizeTune(raw, fileTempo) {
+    if (!raw || typeof raw.title !== "string" || !raw.title.trim()) return null;
+    const notes = Array.isArray(raw.notes) ? raw.notes.map(Number) : [];
+    if (notes.length < 2 || !notes.every(Number.isInteger)) return null;
+
+    const beats = notes.map((_, i) => {
+      const b = Number(raw.beats?.[i]);
+      return b > 0 ? b : 1;
+    });
+    const from = clampInt(Number(raw.from) || 0, 0, notes.length - 2);
+    const tempo = Number(raw.tempo) > 0 ? Number(raw.tempo) : fileTempo;
+    return { title: raw.title.trim(), notes, beats, from, tempo };
+  }
+
+  function normalizeReferences(raw) {
+    const tempo = Number(raw?.tempo) > 0 ? Number(raw.tempo) : REFERENCE_DEFAULT_TEMPO;
+    const intervals = {};
+    for (const itv of IVL_ALL) {
+      const entry = raw?.intervals?.[itv.code];
+      if (!entry) continue;
+      intervals[itv.code] = {};
+      for (const dir of REFERENCE_DIRECTIONS) {
+        const list = Array.isArray(entry[dir]) ? entry[dir] : [];
+        intervals[itv.code][dir] = list.map((t) => normalizeTune(t, tempo)).filter(Boolean);
+      }
+    }
+    return { tempo, intervals };
+  }
+
+  async function loadReferences() {
+    try {
+      const res = await fetch(REFERENCES_URL, { cache: "no-cache" });
+      references = res.ok ? normalizeReferences(await res.json()) : null;
+    } catch {
+      references = null;
+    }
+    renderReferenceList();
+  }
+
+  // Augmented/diminished qualities fall back to the tunes of the interval that sounds the same.
+  function referencesFor(itv, direction) {
+    if (!references) return [];
+    const dir = direction === "descending" ? "descending" : "ascending";
+    const own = references.intervals[itv.code]?.[dir];
+    if (own?.length) return own;
+    const same = IVL_ALL.find((i) => i.semitones === itv.semitones && !i.advanced);
+    const shared = same && references.intervals[same.code]?.[dir];
+    if (shared?.length) return shared;
+    // Compound intervals borrow the tunes of the interval an octave smaller, labelled as such.
+    const simple = itv.semitones > 12 && IVL_ALL.find((i) => i.semitones === itv.semitones - 12 && !i.advanced);
+    if (!simple) return [];
+    return referencesFor(simple, dir).map((t) => ({ ...t, title: `${t.title} (${simple.code} + an octave)` }));
+  }
+
+  // Plays a tune with its interval starting on `startPitch`, moved by octaves to stay in range.
+  async function playReference(tune, startPitch) {
+    stopAllAudio(0.06);
+    await resumeAudioIfNeeded();
+    const ctx = ensureAudioGraph();
+    if (!ctx) return;
+
+    let base = startPitch - tune.notes[tune.from];
+    while (base + Math.max(...tune.notes) > MAX_PITCH) base -= 12;
+    while (base + Math.min(...tune.notes) < MIN_PITCH) base += 12;
+
+    const beatSec = 60 / tune.tempo;
+    let at = 0;
+    const notes = tune.notes.map((n, i) => {
+      const note = { pitch: base + n, at, dur: Math.max(0.15, tune.beats[i] * beatSec * 0.95), gain: 0.85 };
+      at += tune.beats[i] * beatSec;
+      return note;
+    });
+    await scheduleNotes(ctx.currentTime + 0.05, notes);
+  }
+
+  function escapeHtml(str) {
+    const map = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+    return String(str).replace(/[&<>"']/g, (c) => map[c]);
+  }
+
+  function referenceButtonsHtml(itv, direction, startPitch) {
+    const dir = direction === "descending" ? "descending" : "ascending";
+    return referencesFor(itv, dir)
+      .map(
+        (t, i) =>
+          `<button type="button" class="refBtn" data-ref-code="${itv.code}" data-ref-dir="${dir}" ` +
+          `data-ref-index="${i}" data-ref-start="${startPitch}" title="Hear the reference">▶ ${escapeHtml(t.title)}</button>`
+      )
+      .join(" ");
+  }
+
+  function renderReferenceList() {
+    const rows = IVL_ALL.filter((itv) => !itv.advanced && REFERENCE_DIRECTIONS.some((d) => referencesFor(itv, d).length))
+      .map((itv) => {
+        const cells = REFERENCE_DIRECTIONS.map((d) => {
+          const start = d === "descending" ? pitchFromPcOct(0, 5) : pitchFromPcOct(0, 4);
+          return `<td>${referenceButtonsHtml(itv, d, start) || "—"}</td>`;
+        }).join("");
+        return `<tr><th scope="row">${itv.code}</th>${cells}</tr>`;
+      });
+
+    referenceList.innerHTML = rows.length
+      ? `<div class="analysisLabel">Reference songs</div>` +
+        `<table class="debugTable refTable"><thead><tr><th>Interval</th><th>Ascending</th><th>Descending</th></tr></thead>` +
+        `<tbody>${rows.join("")}</tbody></table>`
+      : "";
+  }
+
+  function onReferenceClick(e) {
+    const btn = e.target.closest(".refBtn");
+    if (!btn) return;
+    const itv = IVL_ALL.find((i) => i.code === btn.dataset.refCode);
+    const tune = itv && referencesFor(itv, btn.dataset.refDir)[Number(btn.dataset.refIndex)];
+    if (tune) playReference(tune, Number(btn.dataset.refStart));
+  }
+
+  // ---------------- timed challenge ----------------
+  function formatClock(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  function timeBonusPoints(responseMs) {
+    if (!Number.isFinite(responseMs)) return 0;
+    const share = 1 - responseMs / TIMED_BONUS_WINDOW_MS;
+    return Math.max(0, Math.round(TIMED_BONUS_POINTS * share));
+  }
+
+  function renderTimer() {
+    timerOut.classList.toggle("hidden", !started);
     if (!started) return;
 
+    let roundMs = null;
+    if (question?.answeredMs != null) roundMs = question.answeredMs;
+    else if (question?.unlockedAt != null && !score.complete) roundMs = performance.now() - question.unlockedAt;
+
+    const parts = [`⏱ This round: <strong>${roundMs == null ? "—" : formatSeconds(roundMs)}</strong>`];
+    if (testActive()) {
+      parts.push(`Test question <strong>${Math.min(score.asked + (awaitingNext ? 0 : 1), score.testLength)}</strong> of ${score.testLength}`);
+    } else if (settings.timedMode === "questions") {
+      parts.push(`Question <strong>${Math.min(score.asked + (awaitingNext ? 0 : 1), settings.timedQuestions)}</strong> of ${settings.timedQuestions}`);
+    }
+    if (settings.timedMode === "clock" && clockEndsAt != null) {
+      parts.push(`Time left: <strong>${formatClock(clockEndsAt - performance.now())}</strong>`);
+    }
+    if (settings.timedMode !== "off" && !hidesFeedback()) parts.push(`Points: <strong>${score.points}</strong>`);
+    timerOut.innerHTML = parts.join(" • ");
+  }
+
+  function startSessionClock() {
+    clockEndsAt = settings.timedMode === "clock" ? performance.now() + settings.timedSeconds * 1000 : null;
+    startTimer();
+  }
+
+  function stopTimer() {
+    if (timerHandle != null) window.clearInterval(timerHandle);
+    timerHandle = null;
+  }
+
+  function startTimer() {
+    stopTimer();
+    timerHandle = window.setInterval(() => {
+      if (settings.timedMode === "clock" && clockEndsAt != null && performance.now() >= clockEndsAt) {
+        endTimedSession("clock");
+        return;
+      }
+      renderTimer();
+    }, 100);
+    renderTimer();
+  }
+
+  // Ends a timed challenge or a test: answers lock, Next stays disabled until the game is reset or restarted.
+  // Tests then open the results screen.
+  function endTimedSession(reason) {
+    if (score.complete) return;
+    stopTimer();
+    stopSingListening();
+    stopAllNotes(0.08);
+
+    score.complete = true;
+    canAnswer = false;
+    clockEndsAt = null;
+    saveProgress();
+    emitHostEvent("session-complete", { reason, score: scoreSummary(), history: score.history.slice() });
+
+    let headline = reason === "clock" ? "Time’s up! ⏰" : `All ${settings.timedQuestions} questions answered! 🏁`;
+    if (reason === "test") headline = `Test complete! 🏁 Grade: ${gradeFor(gradePercent())}`;
+    const points = settings.timedMode !== "off" ? `Points: <strong>${score.points}</strong> • ` : "";
+    const results = testActive() ? ` <button type="button" class="linkBtn" data-show-results>Show results</button>` : "";
+    const summary =
+      `<div class="sessionSummary"><strong>${headline}</strong><br/>` +
+      `${points}Correct: <strong>${score.correct}/${score.asked}</strong> (${scorePercent()}%)<br/>` +
+      `Average time: <strong>${formatSeconds(averageResponseMs())}</strong> • Fastest: <strong>${formatSeconds(fastestResponseMs())}</strong><br/>` +
+      `<small>Download your scorecard, or open <strong>Game Settings</strong> to play again.</small>${results}</div>`;
+
+    // Keep the last answer's feedback if it is on screen.
+    setFeedback((awaitingNext ? feedbackOut.innerHTML + "<br/>" : "") + summary);
+    renderScore();
+    renderTimer();
+    updateControls();
+    renderMelodySteps();
+    renderAdaptiveDebug();
+    if (testActive()) showResults();
+  }
+
+  function checkSessionEnd() {
+    if (testActive() && score.asked >= score.testLength) endTimedSession("test");
+    else if (settings.timedMode === "questions" && score.asked >= settings.timedQuestions) endTimedSession("questions");
+  }
+
+  // ---------------- test mode ----------------
+  // A test is a fixed number of questions ending on a results screen. "hidden" holds back all feedback
+  // until then; replays can be limited either way.
+  function testActive() {
+    return settings.testMode !== "off";
+  }
+
+  function hidesFeedback() {
+    return settings.testMode === "hidden" && started && !score.complete;
+  }
+
+  // Replays left before answering the current question (Infinity when they aren't limited,
+  // or while a question that wasn't autoplayed is still waiting for its first listen).
+  function replaysLeft() {
+    if (settings.maxReplays < 0 || !question || question.unplayed) return Infinity;
+    return Math.max(0, settings.maxReplays - (question.replays || 0));
+  }
+
+  function gradeFor(percent) {
+    return TEST_GRADES.find(([min]) => percent >= min)[1];
+  }
+
+  // Replaces an answer's feedback, marks and keyboard while the test holds them back.
+  function concealAnswer() {
+    setFeedback(`Answer recorded — question ${score.asked} of ${score.testLength}. Your results appear at the end.`);
+    clearAnswerMarks();
+    setKeyboardVisible(false);
+  }
+
+  function historyNotesLabel(h) {
+    if (Array.isArray(h.notes)) return h.notes.join(" → ");
+    if (h.direction === "descending") return `${h.high} → ${h.root}`;
+    return `${h.root} ${h.direction === "harmonic" ? "+" : "→"} ${h.high}`;
+  }
+
+  function renderResults() {
+    const percent = gradePercent();
+    const rows = score.history
+      .map(
+        (h, i) =>
+          `<tr class="${h.correct ? "" : "resultMissed"}"><td>${i + 1}</td><td>${escapeHtml(historyNotesLabel(h))}</td>` +
+          `<td>${escapeHtml(h.interval)}</td><td>${escapeHtml(h.guess ?? "—")}</td><td>${h.correct ? "✅" : "❌"}</td>` +
+          `<td>${escapeHtml(h.replays ?? 0)}</td><td>${formatSeconds(h.responseMs)}</td></tr>`
+      )
+      .join("");
+
+    resultsBody.innerHTML =
+      `<div class="resultsGrade">Grade <strong>${gradeFor(percent)}</strong> — ` +
+      `${score.correct} of ${score.asked} correct (${settings.replayScoring === "partial" ? `${percent}% with replay credit` : `${percent}%`})</div>` +
+      `<table class="debugTable statsTable"><thead><tr><th>#</th><th>Notes</th><th>Answer</th>` +
+      `<th>You answered</th><th></th><th>Replays</th><th>Time</th></tr></thead><tbody>${rows}</tbody></table>`;
+    retryMissedBtn.disabled = !score.history.some((h) => !h.correct && retryableEntry(h));
+  }
+
+  function showResults() {
+    renderResults();
+    resultsModal.classList.remove("hidden");
+    resultsClose.focus();
+  }
+
+  function hideResults() {
+    resultsModal.classList.add("hidden");
+    playUiSound(SND_BACK);
+  }
+
+  // Saved and imported entries can be anything: only ones whose notes and intervals this game can play
+  // again are retried.
+  function retryableEntry(h) {
+    if (!h || typeof h !== "object" || !Array.isArray(h.pitches)) return false;
+    const { pitches } = h;
+    if (!pitches.every((p) => Number.isInteger(p) && p >= MIN_PITCH && p <= MAX_PITCH)) return false;
+
+    const fits = (code, direction, from, to) => {
+      const itv = IVL_ALL.find((i) => i.code === code);
+      if (!itv) return false;
+      const sign = direction === "descending" ? -1 : 1;
+      return to - from === sign * itv.semitones;
+    };
+    if (Array.isArray(h.parts)) {
+      return (
+        h.parts.length >= 1 &&
+        pitches.length === h.parts.length + 1 &&
+        h.parts.every(
+          (part, i) =>
+            part && ["ascending", "descending"].includes(part.direction) && fits(part.interval, part.direction, pitches[i], pitches[i + 1])
+        )
+      );
+    }
+    // Two-note entries store [root, high] whatever the direction.
+    return pitches.length === 2 && DIRECTIONS.includes(h.direction) && fits(h.interval, "ascending", pitches[0], pitches[1]);
+  }
+
+  // Rebuilds a question from its history entry so it can be asked again with the same notes.
+  function questionFromHistory(h) {
+    const reason = "retry of a missed question";
+    if (Array.isArray(h.parts)) {
+      const steps = h.parts.map((part) => ({
+        interval: IVL_ALL.find((i) => i.code === part.interval),
+        direction: part.direction,
+        reason,
+      }));
+      return melodyQuestion(h.pitches.slice(), steps, !!h.degrees && h.pitches.every((p) => scaleDegree(p)));
+    }
+    const [rootPitch, highPitch] = h.pitches;
+    const q = { rootPitch, highPitch, interval: IVL_ALL.find((i) => i.code === h.interval), direction: h.direction, reason };
+    const inKey = h.degrees && scaleDegree(rootPitch) && scaleDegree(highPitch);
+    return Object.assign(q, inKey ? spellDiatonic(q) : spellQuestion(q));
+  }
+
+  async function retryMissed() {
+    const missed = score.history.filter((h) => !h.correct && retryableEntry(h));
+    if (!missed.length) return;
+    resultsModal.classList.add("hidden");
+    await applySettingsAndRestart({ ...settings }, { retry: missed });
+  }
+
+  async function startNewRound({ autoplay = true } = {}) {
+    if (!started || score.complete) return;
+
     awaitingNext = false;
     canAnswer = false;
     clearAnswerMarks();
     setKeyboardVisible(false);
     updateControls();
 
+    stopSingListening();
     question = pickQuestion();
+    renderMelodySteps();
+    emitHostEvent("question-asked", {
+      number: score.asked + 1,
+      drill: settings.drill,
+      direction: question.direction,
+      notes: question.melody?.length ?? 2,
+    });
+    renderAdaptiveDebug();
+    renderTimer();
     setFeedback("Listen carefully…");
 
     if (autoplay) {
       await new Promise(requestAnimationFrame);
-      setFeedback("Choose the interval you hear.");
-      await playCurrentInterval({ allowAnswerAfter: true, delaySec: ROUND_START_DELAY_SEC });
+      let prompt = "Choose the interval you hear.";
+      if (answerMode() === "sing") prompt = "Listen to the first note, then sing the second.";
+      if (answerMode() === "keyboard") {
+        prompt = "Click the key for the second note you hear.";
+        showAnswerKeyboard();
+      }
+      if (question.melody) prompt = `Name each of the ${question.steps.length} intervals in the melody, in order.`;
+      if (showsSpelling()) {
+        prompt = question.melody
+          ? `Name each interval: ${melodyNotesLabel(question)}`
+          : `Name the interval: ${questionNotesLabel(question)}`;
+      }
+      if (settings.drill === "build") prompt = buildPromptHtml(question);
+      if (answerMode() === "buttons" && settings.answerMode === "sing" && micUnavailable) {
+        prompt += "<br/><small>Microphone unavailable — answer with the buttons instead.</small>";
+      }
+      setFeedback(prompt);
+      await playCurrentInterval({ allowAnswerAfter: true, delaySec: settings.startDelaySec });
     } else {
+      // The player's first press is their first listen, not a replay.
+      question.unplayed = true;
+      updateControls();
       setFeedback("Press <strong>Replay Interval</strong> to hear the notes.");
+      if (answerMode() === "keyboard") showAnswerKeyboard();
     }
   }
 
@@ -935,9 +2638,12 @@ let started = false;
   }
 
   function refreshAnswerVisibility() {
-    const n = clampInt(settings.intervalCount, 2, IVL_ALL.length);
-    answerButtons.querySelectorAll("button").forEach((b, i) => {
-      b.style.display = i < n ? "" : "none";
+    answerButtons.classList.toggle("hidden", answerMode() !== "buttons");
+    legendSecondText.textContent = settings.drill === "melody" ? "Later notes" : "Second note";
+    legendDetected.classList.toggle("hidden", answerMode() === "buttons");
+    answerButtons.querySelectorAll("button").forEach((b) => {
+      const itv = IVL_ALL[Number(b.dataset.index)];
+      b.style.display = itv && settings.intervals.includes(itv.code) ? "" : "none";
     });
   }
 
@@ -949,65 +2655,724 @@ let started = false;
 
   function onAnswer(intervalIndex) {
     if (!started || !question || !canAnswer || awaitingNext) return;
+    if (answerMode() !== "buttons") return;
 
     const chosen = IVL_ALL[intervalIndex];
-    const correct = question.interval;
+    if (question.melody) {
+      onMelodyStepAnswer(chosen);
+      return;
+    }
+    // Graded by spelling: "A4/d5" also accepts whichever of A4/d5 the notes spell.
+    const isCorrect = chosen.code === question.interval.code || chosen.code === question.spelledCode;
 
-    score.asked += 1;
+    const btn = answerButtons.querySelector(`button[data-index="${intervalIndex}"]`);
+    if (!hidesFeedback()) {
+      if (btn) btn.classList.add(isCorrect ? "correct" : "incorrect");
+      if (!isCorrect) markCorrectButton(question.interval.code);
+    }
 
-    const isCorrect = chosen.code === correct.code;
-    const rootLbl = pitchLabel(question.rootPitch);
-    const highLbl = pitchLabel(question.highPitch);
+    recordAnswer({ guessCode: chosen.code, isCorrect, youHtml: `You chose <strong>${chosen.code}</strong>` });
+  }
 
-    if (isCorrect) {
-      score.correct += 1;
-      score.streak += 1;
-      score.longest = Math.max(score.longest, score.streak);
+  // Scores the current question for every answer mode: updates the score, feedback card,
+  // history, keyboard and timed-challenge state. `youHtml` names the user's answer when it
+  // was wrong; `detailHtml` adds a line to the feedback either way.
+  function recordAnswer({ guessCode, isCorrect, youHtml, detailHtml = "", historyExtra = {}, detectedPitch = null }) {
+    const responseMs = question.unlockedAt == null ? null : Math.round(performance.now() - question.unlockedAt);
+    question.answeredMs = responseMs;
+
+    const correct = question.interval;
+
+    const rootLbl = questionPitchLabel(question, question.rootPitch);
+    const highLbl = questionPitchLabel(question, question.highPitch);
+    const notesLbl = questionNotesLabel(question);
+    const dirLbl = directionLabel(question.direction).toLowerCase();
+    let detail = detailHtml ? `<br/>${detailHtml}` : "";
+    if (question.degrees) {
+      detail += `<br/>Scale degrees in ${question.key}: ${degreesLabel(question)} = <strong>${question.spelledCode}</strong>`;
+    }
+    if (settings.drill === "identify" && question.spelledCode !== correct.code) {
+      detail += `<br/>Spelled as ${notesLbl}: <strong>${question.spelledCode}</strong> (${spelledIntervalName(question.spelledCode)}).`;
+    }
 
-      const btn = answerButtons.querySelector(`button[data-index="${intervalIndex}"]`);
-      if (btn) btn.classList.add("correct");
+    const replays = question.replays || 0;
+    const { points, credit } = tallyAnswer(isCorrect, responseMs, replays);
+    detail += `<br/>${replayFeedbackHtml(replays, credit, isCorrect)}`;
 
+    if (isCorrect) {
       setFeedback(
         `Correct! ✅<br/>` +
-          `Notes: <strong>${rootLbl}</strong> → <strong>${highLbl}</strong><br/>` +
-          `Interval: <strong>${titleCase(correct.name)}</strong> (<strong>${correct.code}</strong>).`
+          `Notes: ${notesLbl} (${dirLbl})<br/>` +
+          `Interval: <strong>${titleCase(correct.name)}</strong> (<strong>${correct.code}</strong>).` +
+          detail
+      );
+    } else {
+      const refs = referenceButtonsHtml(correct, question.direction, questionNoteOrder(question)[0]);
+      if (refs) detail += `<br/>🎵 Think of: ${refs}`;
+
+      setFeedback(
+        `Incorrect ❌ (${youHtml}.)<br/>` +
+          `Notes: ${notesLbl} (${dirLbl})<br/>` +
+          `Answer: <strong>${titleCase(correct.name)}</strong> (<strong>${correct.code}</strong>).` +
+          detail
       );
+    }
+
+    addHistoryEntry({
+      ts: new Date().toISOString(),
+      root: rootLbl,
+      high: highLbl,
+      interval: correct.code,
+      guess: guessCode,
+      correct: isCorrect,
+      responseMs,
+      points,
+      replays,
+      credit,
+      direction: question.direction,
+      selection: settings.selection,
+      drill: settings.drill,
+      instrument: settings.instrument,
+      context: settings.context,
+      spelled: question.spelledCode,
+      pitches: [question.rootPitch, question.highPitch],
+      ...(question.degrees ? { key: question.key, degrees: questionNoteOrder(question).map((p) => question.degrees[p]) } : {}),
+      answerMode: answerMode(),
+      mode: settings.rootMode,
+      intervals: settings.intervals.slice(),
+      ...historyExtra,
+    });
+
+    renderScore();
+    saveProgress();
+
+    const [firstPitch, secondPitch] = questionNoteOrder(question);
+    const shown = [question.rootPitch, question.highPitch];
+    if (detectedPitch != null && detectedPitch >= MIN_PITCH && detectedPitch <= MAX_PITCH) shown.push(detectedPitch);
+    setKeyboardVisible(true);
+    buildMiniKeyboard(shown, firstPitch, secondPitch, { detectedPitch });
+    if (hidesFeedback()) concealAnswer();
+
+    lockAfterAnswer();
+    renderAdaptiveDebug();
+    renderTimer();
+
+    checkSessionEnd();
+  }
 
-      playUiSound(SND_CORRECT);
+  function addHistoryEntry(entry) {
+    score.history.push(entry);
+    score.rng = rngState;
+    emitHostEvent("answer-given", { entry, score: scoreSummary() });
+  }
+
+  // Score, streak, timed points and the answer sound for one question; returns the points and credit earned.
+  // Replays before answering scale both down when partial credit is on.
+  function tallyAnswer(isCorrect, responseMs, replays) {
+    score.asked += 1;
+    const credit = isCorrect ? replayCredit(replays) : 0;
+    score.credit += credit;
+    const points = settings.timedMode !== "off" && isCorrect ? Math.round((TIMED_BASE_POINTS + timeBonusPoints(responseMs)) * credit) : 0;
+    score.points += points;
+
+    if (isCorrect) {
+      score.correct += 1;
+      score.streak += 1;
+      score.longest = Math.max(score.longest, score.streak);
     } else {
       score.incorrect += 1;
       score.streak = 0;
+    }
+    // A test that holds feedback back only confirms that the answer was taken.
+    playUiSound(hidesFeedback() ? SND_SELECT : isCorrect ? SND_CORRECT : SND_INCORRECT);
+    return { points, credit };
+  }
 
-      const btn = answerButtons.querySelector(`button[data-index="${intervalIndex}"]`);
-      if (btn) btn.classList.add("incorrect");
-      markCorrectButton(correct.code);
+  function replayCredit(replays) {
+    if (settings.replayScoring !== "partial") return 1;
+    return Math.max(REPLAY_CREDIT_MIN, 1 - REPLAY_CREDIT_STEP * replays);
+  }
 
-      setFeedback(
-        `Incorrect ❌ (You chose <strong>${chosen.code}</strong>.)<br/>` +
-          `Notes: <strong>${rootLbl}</strong> → <strong>${highLbl}</strong><br/>` +
-          `Answer: <strong>${titleCase(correct.name)}</strong> (<strong>${correct.code}</strong>).`
+  function replayFeedbackHtml(replays, credit, isCorrect) {
+    let html = `Replays: <strong>${replays}</strong>`;
+    if (isCorrect && credit < 1) html += ` — ${Math.round(credit * 100)}% credit`;
+    return html;
+  }
+
+  function intervalCodeForSemitones(semitones) {
+    const itv = IVL_ALL.find((i) => i.semitones === semitones);
+    if (itv) return itv.code;
+    return semitones === 0 ? "P1" : `${semitones} semitones`;
+  }
+
+  // ---------------- keyboard answers ----------------
+  function showAnswerKeyboard() {
+    const [first] = questionNoteOrder(question);
+    setKeyboardVisible(true);
+    buildMiniKeyboard(answerWindowPitches(question), first, null, { onKeyClick: onKeyboardAnswer });
+  }
+
+  async function playKeyPitch(pitch) {
+    await resumeAudioIfNeeded();
+    const ctx = ensureAudioGraph();
+    if (!ctx) return;
+    const loaded = await loadPitchBuffer(pitch);
+    playLoadedNote(loaded, ctx.currentTime + 0.01, settings.noteSec, 0.85);
+  }
+
+  function onKeyboardAnswer(pitch) {
+    if (!started || !question || !canAnswer || awaitingNext) return;
+    if (answerMode() !== "keyboard") return;
+
+    playKeyPitch(pitch);
+
+    const [first, second] = questionNoteOrder(question);
+    const semis = Math.abs(pitch - first);
+    const playedCode = intervalCodeForSemitones(semis);
+    const playedItv = IVL_ALL.find((i) => i.semitones === semis);
+    const playedLbl = answerNoteLabel(question, pitch);
+    let played = `You played <strong>${playedLbl}</strong>`;
+    if (semis === 0) played += ", the first note again";
+    else {
+      const name = playedItv ? `${titleCase(playedItv.name)} (<strong>${playedCode}</strong>)` : `<strong>${playedCode}</strong>`;
+      played += `: ${name} ${pitch > first ? "above" : "below"} the first note`;
+    }
+
+    const build = settings.drill === "build";
+    recordAnswer({
+      guessCode: playedCode,
+      isCorrect: pitch === second,
+      youHtml: played,
+      detailHtml: build ? buildAnswerHtml(question) : "",
+      historyExtra: { played: playedLbl },
+      detectedPitch: pitch === second ? null : pitch,
+    });
+
+    // Build drill: let the answer sound land, then play both notes.
+    if (build && !hidesFeedback()) {
+      const q = question;
+      window.setTimeout(() => {
+        if (question === q && awaitingNext) playCurrentInterval({ allowAnswerAfter: false });
+      }, BUILD_PLAYBACK_DELAY_MS);
+    }
+  }
+
+  // ---------------- spelling ----------------
+  // A spelled note is { letter: 0–6 for C–B, acc: semitones of sharps (+) or flats (−), oct }.
+  // Intervals move the letter by (number − 1) steps; the accidental takes up the rest.
+  const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+  const LETTER_PCS = [0, 2, 4, 5, 7, 9, 11];
+  const ACCIDENTAL_SIGNS = { "-2": "𝄫", "-1": "♭", 0: "", 1: "♯", 2: "𝄪" };
+  const QUALITY_NAMES = { P: "perfect", M: "major", m: "minor", A: "augmented", d: "diminished" };
+  const NUMBER_NAMES = [
+    "", "unison", "second", "third", "fourth", "fifth", "sixth", "seventh", "octave",
+    "ninth", "tenth", "eleventh", "twelfth", "thirteenth", "fourteenth", "fifteenth",
+  ];
+
+  function parseNoteName(name, oct) {
+    const acc = name.slice(1) === "#" ? 1 : name.slice(1) === "b" ? -1 : 0;
+    return { letter: LETTERS.indexOf(name[0]), acc, oct };
+  }
+
+  // The spelling of a pitch that uses this letter.
+  function spellingWithLetter(pitch, letter) {
+    const acc = ((((pcFromPitch(pitch) - LETTER_PCS[letter]) % 12) + 18) % 12) - 6;
+    return { letter, acc, oct: (pitch - LETTER_PCS[letter] - acc) / 12 };
+  }
+
+  // Names a played or sung note against the question's first note: the question's own spelling when it is
+  // one of its notes, otherwise the fewest accidentals, preferring a plain interval (B♭–D♭, not B♭–C♯).
+  function answerNoteLabel(q, pitch) {
+    if (q.spelled?.[pitch]) return q.spelled[pitch];
+    const [first] = questionNoteOrder(q);
+    const from = spellingWithLetter(first, LETTERS.indexOf(questionPitchLabel(q, first)[0]));
+    const plain = IVL_ALL.filter((i) => !i.advanced).flatMap((i) => i.code.split("/"));
+    const options = LETTERS.map((_, letter) => {
+      const sp = spellingWithLetter(pitch, letter);
+      const [lower, upper] = pitch > first ? [from, sp] : [sp, from];
+      return { sp, cost: Math.abs(sp.acc) * 2 + (plain.includes(spelledIntervalCode(lower, upper)) ? 0 : 1) };
+    });
+    return spellingLabel(options.reduce((best, o) => (o.cost < best.cost ? o : best)).sp);
+  }
+
+  function spelledPitch(sp) {
+    return sp.oct * 12 + LETTER_PCS[sp.letter] + sp.acc;
+  }
+
+  function transposeSpelling(sp, steps, semitones) {
+    const idx = sp.oct * 7 + sp.letter + steps;
+    const letter = ((idx % 7) + 7) % 7;
+    const oct = Math.floor(idx / 7);
+    return { letter, acc: spelledPitch(sp) + semitones - (oct * 12 + LETTER_PCS[letter]), oct };
+  }
+
+  function spellingLabel(sp) {
+    const sign = ACCIDENTAL_SIGNS[sp.acc] ?? (sp.acc > 0 ? "♯" : "♭").repeat(Math.abs(sp.acc));
+    return `${LETTERS[sp.letter]}${sign}${sp.oct}`;
+  }
+
+  function intervalNumber(code) {
+    return Number.parseInt(code.replace(/^\D+/, ""), 10);
+  }
+
+  // The interval between two spelled notes (lower first): the number comes from the letters,
+  // the quality from how far the semitones are from the major/perfect size.
+  function spelledIntervalCode(lower, upper) {
+    const steps = upper.oct * 7 + upper.letter - (lower.oct * 7 + lower.letter);
+    const semis = spelledPitch(upper) - spelledPitch(lower);
+    const simple = ((steps % 7) + 7) % 7;
+    const diff = semis - (LETTER_PCS[simple] + 12 * Math.floor(steps / 7));
+
+    let quality;
+    if ([0, 3, 4].includes(simple)) {
+      quality = diff === 0 ? "P" : diff > 0 ? "A".repeat(diff) : "d".repeat(-diff);
+    } else {
+      quality = diff === 0 ? "M" : diff === -1 ? "m" : diff > 0 ? "A".repeat(diff) : "d".repeat(-diff - 1);
+    }
+    return `${quality}${steps + 1}`;
+  }
+
+  function spelledIntervalName(code) {
+    const quality = code.match(/^[PMmAd]+/)[0];
+    const name = `${QUALITY_NAMES[quality[0]]} ${NUMBER_NAMES[intervalNumber(code)] ?? `${intervalNumber(code)}th`}`;
+    return quality.length > 1 ? `doubly ${name}` : name;
+  }
+
+  // Spells both notes: the first from PC_NAMES_SHARP/PC_NAMES_FLAT, the second by letter arithmetic from the
+  // interval's number ("A4/d5" tries both readings). Picks the spelling with the fewest accidentals, avoiding
+  // double sharps/flats when there is a choice.
+  function spellQuestion(q) {
+    const [first, second] = questionNoteOrder(q);
+    const pc = pcFromPitch(first);
+    const names = [...new Set([PC_NAMES_SHARP[pc], PC_NAMES_FLAT[pc]])];
+    const sign = second > first ? 1 : -1;
+
+    const options = [];
+    for (const code of q.interval.code.split("/")) {
+      for (const name of names) {
+        const from = parseNoteName(name, octFromPitch(first));
+        const to = transposeSpelling(from, (intervalNumber(code) - 1) * sign, second - first);
+        const cost = Math.abs(to.acc) > 1 ? 10 : Math.abs(from.acc) + Math.abs(to.acc);
+        options.push({ from, to, cost });
+      }
+    }
+    const best = Math.min(...options.map((o) => o.cost));
+    const pool = options.filter((o) => o.cost === best);
+    const pick = randomPick(pool);
+
+    const [lower, upper] = sign > 0 ? [pick.from, pick.to] : [pick.to, pick.from];
+    return {
+      spelled: { [first]: spellingLabel(pick.from), [second]: spellingLabel(pick.to) },
+      spelledCode: spelledIntervalCode(lower, upper),
+    };
+  }
+
+  // Advanced qualities are only tellable apart on paper, so their questions show the spelled notes.
+  function showsSpelling() {
+    return settings.drill !== "build" && answerMode() === "buttons" && settings.intervals.some(isAdvancedCode);
+  }
+
+  // ---------------- build drill ----------------
+  function buildRelation(q) {
+    const code = q.spelledCode;
+    const [first, second] = questionNoteOrder(q);
+    return { code, side: second > first ? "above" : "below", from: q.spelled[first], to: q.spelled[second] };
+  }
+
+  function buildPromptHtml(q) {
+    const { code, side, from } = buildRelation(q);
+    const article = code.startsWith("A") ? "an" : "a";
+    return `Build ${article} <strong>${code}</strong> ${side} <strong>${from}</strong>: click the key.`;
+  }
+
+  function buildAnswerHtml(q) {
+    const { code, side, from, to } = buildRelation(q);
+    return `<strong>${code}</strong> ${side} <strong>${from}</strong> is <strong>${to}</strong>.`;
+  }
+
+  // ---------------- melody drill ----------------
+  // A 3–5 note melody with each step going up or down by one of the chosen intervals. Diatonic generation
+  // keeps every note in the scale (falling back to chromatic when none of the intervals occur in it);
+  // a fixed root becomes the first note when it fits.
+  function pickMelodyQuestion() {
+    const diatonic = settings.generation === "diatonic" && melodyStarts(true).length > 0;
+
+    let first = settings.fixedRootPitch;
+    const fixedFits = first >= MIN_PITCH && first <= MAX_PITCH && (!diatonic || scaleDegree(first) != null);
+    if (settings.rootMode === "random" || !fixedFits || !melodyMoves(first, diatonic).length) {
+      first = randomPick(melodyStarts(diatonic));
+    }
+
+    const melody = [first];
+    const steps = [];
+    const count = randIntInclusive(MELODY_MIN_NOTES, MELODY_MAX_NOTES);
+    while (melody.length < count) {
+      const from = melody[melody.length - 1];
+      const moves = melodyMoves(from, diatonic);
+      if (!moves.length) break;
+
+      const { interval, reason } = pickInterval([...new Set(moves.map((m) => m.itv))]);
+      const signs = moves.filter((m) => m.itv === interval).map((m) => m.sign);
+      const sign = randomPick(signs);
+      melody.push(from + sign * interval.semitones);
+      steps.push({ interval, direction: sign > 0 ? "ascending" : "descending", reason });
+    }
+
+    return melodyQuestion(melody, steps, diatonic);
+  }
+
+  // Steps from a note that stay in range (and in the scale, spelled as the interval).
+  function melodyMoves(from, diatonic) {
+    const fits = (p) => p >= MIN_PITCH && p <= MAX_PITCH && (!diatonic || scaleDegree(p) != null);
+    return activeIntervals().flatMap((itv) =>
+      [1, -1]
+        .filter((sign) => {
+          const to = from + sign * itv.semitones;
+          return fits(to) && (!diatonic || spellsInKeyAs(Math.min(from, to), Math.max(from, to), itv));
+        })
+        .map((sign) => ({ itv, sign }))
+    );
+  }
+
+  // Start notes with at least one step away from them, so every melody has a step to name.
+  function melodyStarts(diatonic) {
+    const starts = [];
+    for (let p = MIN_PITCH + MELODY_START_MARGIN; p <= MAX_PITCH - MELODY_START_MARGIN; p++) {
+      if ((!diatonic || scaleDegree(p) != null) && melodyMoves(p, diatonic).length) starts.push(p);
+    }
+    return starts;
+  }
+
+  function melodyQuestion(melody, steps, diatonic) {
+    const q = {
+      melody,
+      steps,
+      answers: [],
+      stepIndex: 0,
+      rootPitch: melody[0],
+      highPitch: Math.max(...melody),
+      interval: steps[0].interval,
+      direction: "melody",
+      reason: steps.map((st, i) => `step ${i + 1}: ${st.reason}`).join("; "),
+    };
+    return Object.assign(q, diatonic ? spellMelodyInKey(q) : spellMelody(q));
+  }
+
+  function spellMelodyInKey(q) {
+    const spellings = q.melody.map((p) => spellInKey(p));
+    return {
+      spelled: spellings.map(spellingLabel),
+      stepCodes: spelledStepCodes(q, spellings),
+      degrees: q.melody.map((p) => scaleDegree(p)),
+      key: keyLabel(),
+    };
+  }
+
+  // Each note is spelled from the previous one by the number of the step's interval, so every step keeps
+  // its name ("A4/d5" may take either reading). Every starting name and reading is tried; the melody with
+  // the fewest accidentals wins, avoiding double sharps/flats when there is a choice.
+  function spellMelody(q) {
+    const first = q.melody[0];
+    let chains = LETTERS.map((_, letter) => {
+      const acc = ((((pcFromPitch(first) - LETTER_PCS[letter]) % 12) + 18) % 12) - 6;
+      return [{ letter, acc, oct: (first - LETTER_PCS[letter] - acc) / 12 }];
+    }).filter(([sp]) => Math.abs(sp.acc) <= 2);
+
+    q.steps.forEach((st, i) => {
+      const semis = q.melody[i + 1] - q.melody[i];
+      chains = chains.flatMap((chain) =>
+        st.interval.code
+          .split("/")
+          .map((code) => [...chain, transposeSpelling(chain[i], (intervalNumber(code) - 1) * Math.sign(semis), semis)])
       );
+    });
+
+    const cost = (chain) => chain.reduce((sum, sp) => sum + Math.abs(sp.acc) + (Math.abs(sp.acc) > 1 ? 10 : 0), 0);
+    const best = Math.min(...chains.map(cost));
+    const spellings = randomPick(chains.filter((c) => cost(c) === best));
+
+    return { spelled: spellings.map(spellingLabel), stepCodes: spelledStepCodes(q, spellings) };
+  }
+
+  function spelledStepCodes(q, spellings) {
+    return q.steps.map((st, i) => {
+      const [lower, upper] = st.direction === "ascending" ? [spellings[i], spellings[i + 1]] : [spellings[i + 1], spellings[i]];
+      return spelledIntervalCode(lower, upper);
+    });
+  }
+
+  function melodyNotesLabel(q) {
+    return q.spelled.map((name) => `<strong>${name}</strong>`).join(" → ");
+  }
 
-      playUiSound(SND_INCORRECT);
+  function melodyStepCorrect(q, i) {
+    const code = q.answers[i];
+    return code === q.steps[i].interval.code || code === q.stepCodes[i];
+  }
+
+  // One chip per step; before grading, clicking an answered chip goes back to that step.
+  function renderMelodySteps() {
+    const q = question?.melody ? question : null;
+    melodySteps.classList.toggle("hidden", !q);
+    if (!q) {
+      melodySteps.innerHTML = "";
+      return;
     }
 
-    score.history.push({
+    const graded = !!q.graded && !hidesFeedback();
+    melodySteps.innerHTML = q.steps
+      .map((st, i) => {
+        const answer = q.answers[i];
+        const cls = ["melodyStep"];
+        if (!q.graded && i === q.stepIndex) cls.push("current");
+        if (graded) cls.push(melodyStepCorrect(q, i) ? "correct" : "incorrect");
+        const arrow = graded ? (st.direction === "ascending" ? "↑ " : "↓ ") : "";
+        return (
+          `<button type="button" class="${cls.join(" ")}" data-step="${i}"${q.graded || answer == null ? " disabled" : ""}>` +
+          `<small>Step ${i + 1}</small> ${arrow}<strong>${answer ?? "?"}</strong></button>`
+        );
+      })
+      .join("");
+  }
+
+  function onMelodyStepClick(e) {
+    const chip = e.target.closest("[data-step]");
+    if (!chip || !question?.melody || question.graded) return;
+    question.stepIndex = Number(chip.dataset.step);
+    renderMelodySteps();
+  }
+
+  // Fills the current step and moves on to the next unanswered one; the melody is graded once every step has an answer.
+  function onMelodyStepAnswer(chosen) {
+    const q = question;
+    q.answers[q.stepIndex] = chosen.code;
+
+    const open = q.steps.findIndex((st, i) => q.answers[i] == null);
+    if (open >= 0) {
+      q.stepIndex = open;
+      renderMelodySteps();
+      return;
+    }
+
+    q.graded = true;
+    renderMelodySteps();
+    recordMelodyAnswer();
+  }
+
+  function recordMelodyAnswer() {
+    const q = question;
+    const responseMs = q.unlockedAt == null ? null : Math.round(performance.now() - q.unlockedAt);
+    q.answeredMs = responseMs;
+
+    const results = q.steps.map((st, i) => melodyStepCorrect(q, i));
+    const isCorrect = results.every(Boolean);
+    const right = results.filter(Boolean).length;
+    const replays = q.replays || 0;
+    const { points, credit } = tallyAnswer(isCorrect, responseMs, replays);
+
+    const rows = q.steps
+      .map((st, i) => {
+        const mark = results[i] ? "✅" : `❌ (you chose ${q.answers[i]})`;
+        return `${i + 1}. ${q.spelled[i]} → ${q.spelled[i + 1]}: <strong>${q.stepCodes[i]}</strong> ${st.direction} ${mark}`;
+      })
+      .join("<br/>");
+    let detail = "";
+    if (q.degrees) detail = `<br/>Scale degrees in ${q.key}: ${q.degrees.map((d) => `${d}\u0302`).join(" → ")}`;
+
+    setFeedback(
+      `${isCorrect ? "Correct! ✅" : `${right} of ${q.steps.length} steps correct ❌`}<br/>` +
+        `Melody: ${melodyNotesLabel(q)}${detail}<br/>${rows}<br/>${replayFeedbackHtml(replays, credit, isCorrect)}`
+    );
+
+    addHistoryEntry({
       ts: new Date().toISOString(),
-      root: rootLbl,
-      high: highLbl,
-      interval: correct.code,
-      guess: chosen.code,
+      root: q.spelled[0],
+      high: q.spelled[q.spelled.length - 1],
+      interval: q.steps.map((st) => st.interval.code).join(" "),
+      guess: q.answers.join(" "),
       correct: isCorrect,
+      responseMs,
+      points,
+      replays,
+      credit,
+      direction: "melody",
+      selection: settings.selection,
+      drill: settings.drill,
+      instrument: settings.instrument,
+      context: settings.context,
+      spelled: q.stepCodes.join(" "),
+      ...(q.degrees ? { key: q.key, degrees: q.degrees.slice() } : {}),
+      answerMode: answerMode(),
       mode: settings.rootMode,
-      intervalCount: settings.intervalCount,
+      intervals: settings.intervals.slice(),
+      notes: q.spelled.slice(),
+      pitches: q.melody.slice(),
+      parts: q.steps.map((st, i) => ({
+        root: q.spelled[i],
+        high: q.spelled[i + 1],
+        interval: st.interval.code,
+        guess: q.answers[i],
+        correct: results[i],
+        direction: st.direction,
+        spelled: q.stepCodes[i],
+      })),
     });
 
     renderScore();
+    saveProgress();
+
+    setKeyboardVisible(true);
+    buildMiniKeyboard(q.melody, q.melody[0], null, { melody: q.melody });
+    if (hidesFeedback()) concealAnswer();
+
+    lockAfterAnswer();
+    renderAdaptiveDebug();
+    renderTimer();
+
+    checkSessionEnd();
+  }
+
+  // ---------------- sing-back (microphone) ----------------
+  // Sing-back falls back to answer buttons when the microphone or the detector isn't available.
+  function answerMode() {
+    if (settings.drill === "build") return "keyboard";
+    if (settings.drill === "melody") return "buttons";
+    if (settings.answerMode === "sing" && !micUnavailable) return "sing";
+    if (settings.answerMode === "keyboard") return "keyboard";
+    return "buttons";
+  }
+
+  async function ensureMicrophone() {
+    if (micAnalyser) return true;
+    if (micUnavailable) return false;
+
+    const ctx = ensureAudioGraph();
+    if (!ctx || !window.PitchDetect || !navigator.mediaDevices?.getUserMedia) {
+      micUnavailable = true;
+      return false;
+    }
+
+    try {
+      // Raw signal: echo cancellation and AGC smear pitch.
+      micStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      });
+    } catch {
+      micUnavailable = true;
+      return false;
+    }
+
+    const src = ctx.createMediaStreamSource(micStream);
+    micAnalyser = ctx.createAnalyser();
+    micAnalyser.fftSize = 2048;
+    // Analysed only; never routed to the speakers.
+    src.connect(micAnalyser);
+    micBuffer = new Float32Array(micAnalyser.fftSize);
+    return true;
+  }
+
+  function releaseMicrophone() {
+    stopSingListening();
+    if (micStream) micStream.getTracks().forEach((t) => t.stop());
+    micStream = null;
+    micAnalyser = null;
+    micBuffer = null;
+  }
+
+  function stopSingListening() {
+    if (singStartHandle != null) window.clearTimeout(singStartHandle);
+    if (singPollHandle != null) window.clearInterval(singPollHandle);
+    singStartHandle = null;
+    singPollHandle = null;
+    singRecent = [];
+    singShownPitch = undefined;
+  }
+
+  // Starts listening once the played note has finished, so the mic doesn't grade the speakers.
+  function scheduleSingListening(token, delayMs) {
+    stopSingListening();
+    singStartHandle = window.setTimeout(() => {
+      singStartHandle = null;
+      if (token !== lastPlayToken || awaitingNext || !question) return;
+      showSingStatus(null);
+      singPollHandle = window.setInterval(singTick, SING_POLL_MS);
+    }, Math.max(0, delayMs));
+  }
+
+  // Keyboard window while answering: wide enough for any chosen interval in the question's direction.
+  function answerWindowPitches(q) {
+    const [first] = questionNoteOrder(q);
+    const span = maxIntervalSemitones(settings.intervals);
+    const other = q.direction === "descending" ? first - span : first + span;
+    return [first, clamp(other, MIN_PITCH, MAX_PITCH)];
+  }
+
+  function formatCents(cents) {
+    const n = Math.round(cents);
+    return `${n > 0 ? "+" : n < 0 ? "−" : "±"}${Math.abs(n)}¢`;
+  }
 
+  function showSingStatus(pitch) {
+    const [first] = questionNoteOrder(question);
+    const rounded = pitch == null ? null : Math.round(pitch);
+    const hearing =
+      pitch == null
+        ? "Hearing: <strong>—</strong>"
+        : `Hearing: <strong>${answerNoteLabel(question, rounded)}</strong> (${formatCents((pitch - rounded) * 100)})`;
+    setFeedback(`🎤 Sing the second note and hold it steady.<br/>${hearing}`);
+
+    // Only redraw the keyboard when the highlighted key changes.
+    if (singShownPitch === rounded && !keyboardWrap.classList.contains("hidden")) return;
+    singShownPitch = rounded;
     setKeyboardVisible(true);
-    buildMiniKeyboard([question.rootPitch, question.highPitch], question.rootPitch, question.highPitch);
+    buildMiniKeyboard(answerWindowPitches(question), first, null, { detectedPitch: rounded });
+  }
 
-    lockAfterAnswer();
+  function singTick() {
+    if (!micAnalyser || !question || awaitingNext || !canAnswer) return;
+
+    micAnalyser.getFloatTimeDomainData(micBuffer);
+    const res = window.PitchDetect.detectPitchYin(micBuffer, audioCtx.sampleRate);
+    if (!res) {
+      if (singRecent.length) showSingStatus(null);
+      singRecent = [];
+      return;
+    }
+
+    // MIDI → this file's pitch numbering (C4 = 48).
+    const pitch = window.PitchDetect.frequencyToMidi(res.frequency) - 12;
+    singRecent.push(pitch);
+    if (singRecent.length > SING_STABLE_FRAMES) singRecent.shift();
+    showSingStatus(pitch);
+
+    if (singRecent.length < SING_STABLE_FRAMES) return;
+    if (Math.max(...singRecent) - Math.min(...singRecent) > SING_STABLE_SPREAD) return;
+    onSungPitch(window.PitchDetect.median(singRecent));
+  }
+
+  function onSungPitch(sung) {
+    stopSingListening();
+    if (!started || !question || !canAnswer || awaitingNext) return;
+
+    const [first, target] = questionNoteOrder(question);
+    let cents = (sung - target) * 100;
+    // Any octave: measure against the nearest octave of the target.
+    if (settings.singAnyOctave) cents = ((((cents + 600) % 1200) + 1200) % 1200) - 600;
+
+    const isCorrect = Math.abs(cents) <= settings.singToleranceCents;
+    const sungPitch = Math.round(sung);
+    const heardAs = Math.round(target + cents / 100);
+    const sungName = answerNoteLabel(question, sungPitch);
+    const sungLbl = `<strong>${sungName}</strong>`;
+
+    recordAnswer({
+      guessCode: intervalCodeForSemitones(Math.abs(heardAs - first)),
+      isCorrect,
+      youHtml: `You sang ${sungLbl}`,
+      detailHtml: `You sang ${sungLbl}: ${formatCents(cents)} from the target (tolerance ±${settings.singToleranceCents}¢).`,
+      historyExtra: { sung: sungName, centsOff: Math.round(cents) },
+      detectedPitch: sungPitch,
+    });
   }
 
   // ---------------- downloads (PNG scorecard) ----------------
@@ -1040,23 +3405,163 @@ let started = false;
   }
 
   function getPlayerName() {
-    const prev = localStorage.getItem("ivl_player_name") || "";
+    const prev = localStorage.getItem(PLAYER_NAME_KEY) || "";
     const name = window.prompt("Enter your name for the scorecard:", prev) ?? "";
     const trimmed = String(name).trim();
-    if (trimmed) localStorage.setItem("ivl_player_name", trimmed);
+    if (trimmed) localStorage.setItem(PLAYER_NAME_KEY, trimmed);
     return trimmed || "Player";
   }
 
+  function sessionTimeSpan() {
+    const stamps = score.history.map((h) => Date.parse(h.ts)).filter((t) => Number.isFinite(t));
+    if (!stamps.length) return { start: null, ms: 0 };
+    const first = Math.min(...stamps);
+    const last = Math.max(...stamps);
+    // The first stamp is taken at the first answer, so add that question's answer time back on.
+    const firstEntry = score.history.find((h) => Date.parse(h.ts) === first);
+    const lead = Number.isFinite(firstEntry?.responseMs) ? firstEntry.responseMs : 0;
+    return { start: new Date(first - lead), ms: last - first + lead };
+  }
+
+  function formatDuration(ms) {
+    const total = Math.max(0, Math.round(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    if (h) return `${h}h ${m}m`;
+    if (m) return `${m}m ${sec}s`;
+    return `${sec}s`;
+  }
+
+  // Accuracy over the previous `windowSize` answers, one point per answer.
+  function rollingAccuracy(windowSize) {
+    const out = [];
+    score.history.forEach((h, i) => {
+      const slice = score.history.slice(Math.max(0, i - windowSize + 1), i + 1);
+      out.push(slice.filter((x) => x.correct).length / slice.length);
+    });
+    return out;
+  }
+
+  function topConfusions(limit) {
+    const pairs = [];
+    for (const [key, n] of confusionCounts()) {
+      const [asked, guess] = key.split("|");
+      if (asked !== guess) pairs.push({ asked, guess, n });
+    }
+    return pairs.sort((a, b) => b.n - a.n).slice(0, limit);
+  }
+
+  function drawSectionTitle(ctx, text, x, y) {
+    ctx.fillStyle = "#111";
+    ctx.font = "900 22px Arial";
+    ctx.fillText(text, x, y);
+  }
+
+  function drawAccuracyBars(ctx, rows, x, y, w, h) {
+    ctx.strokeStyle = "rgba(0,0,0,0.18)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, w, h);
+
+    ctx.font = "700 11px Arial";
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.textAlign = "right";
+    for (const pct of [0, 50, 100]) {
+      const gy = y + h - (h * pct) / 100;
+      ctx.fillText(`${pct}%`, x - 4, gy + 4);
+      ctx.beginPath();
+      ctx.moveTo(x, gy);
+      ctx.lineTo(x + w, gy);
+      ctx.stroke();
+    }
+
+    const slot = w / Math.max(1, rows.length);
+    const barW = Math.max(6, Math.min(34, slot * 0.66));
+    ctx.textAlign = "center";
+    rows.forEach((r, i) => {
+      const cx = x + slot * i + slot / 2;
+      const acc = r.asked ? r.correct / r.asked : 0;
+      const bh = h * acc;
+      ctx.fillStyle = acc >= 0.8 ? "#1f9d55" : acc >= 0.5 ? "#e0a526" : "#d13b3b";
+      if (r.asked) ctx.fillRect(cx - barW / 2, y + h - bh, barW, bh);
+
+      ctx.fillStyle = "#111";
+      ctx.font = "800 11px Arial";
+      ctx.fillText(r.interval.code, cx, y + h + 14);
+      ctx.fillStyle = "rgba(0,0,0,0.55)";
+      ctx.font = "700 10px Arial";
+      ctx.fillText(r.asked ? `${r.asked}×` : "—", cx, y + h + 27);
+    });
+    ctx.textAlign = "left";
+  }
+
+  function drawSparkline(ctx, values, x, y, w, h) {
+    ctx.strokeStyle = "rgba(0,0,0,0.18)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, w, h);
+    if (!values.length) return;
+
+    ctx.strokeStyle = "rgb(71, 101, 166)";
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    values.forEach((v, i) => {
+      const px = x + (values.length === 1 ? w / 2 : (w * i) / (values.length - 1));
+      const py = y + h - v * h;
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.font = "700 11px Arial";
+    ctx.fillText("100%", x + w + 6, y + 8);
+    ctx.fillText("0%", x + w + 6, y + h);
+  }
+
+  // Drawn at SCORECARD_SCALE× so the PNG stays crisp when printed.
   async function downloadScoreCardPng(playerName) {
-    const w = 640;
-    const h = 560;
+    const summary = [
+      `Name: ${playerName}`,
+      `Questions asked: ${score.asked}`,
+      `Answers correct: ${score.correct}`,
+      `Answers incorrect: ${score.incorrect}`,
+      `Correct in a row: ${score.streak}`,
+      `Longest correct streak: ${Math.max(score.longest, score.streak)}`,
+      `Percentage correct: ${scorePercent()}%`,
+      `Average answer time: ${formatSeconds(averageResponseMs())}`,
+      `Fastest answer: ${formatSeconds(fastestResponseMs())}`,
+    ];
+    const replays = replayCount();
+    summary.push(`Replays: ${replays} (${score.asked ? (replays / score.asked).toFixed(1) : "0"} a question)`);
+    summary.push(`No-replay answers: ${score.history.filter((h) => !h.replays).length}/${score.asked}`);
+    if (settings.replayScoring === "partial") summary.push(`With replay credit: ${creditPercent()}%`);
+    if (settings.timedMode !== "off") summary.push(`Points (timed challenge): ${score.points}`);
+    const testDone = testActive() && score.complete;
+    if (testDone) summary.push(`Test grade: ${gradeFor(gradePercent())}`);
+    const review = testDone ? score.history : [];
+
+    const bars = perIntervalStats(statsIntervals());
+    const spark = rollingAccuracy(SCORECARD_ROLLING_WINDOW);
+    const confused = topConfusions(5);
+    const span = sessionTimeSpan();
+
+    const w = 720;
+    const bodyX = 28;
+    const bodyY = 125;
+    const summaryRows = Math.ceil(summary.length / 2);
+    const barsY = bodyY + 92 + summaryRows * 30 + 24;
+    const sparkY = barsY + 36 + 160 + 50;
+    const confusedY = sparkY + 36 + 80 + 44;
+    const reviewY = confusedY + 30 + Math.max(1, confused.length) * 24 + 20;
+    const h = (review.length ? reviewY + 30 + review.length * 22 : reviewY - 20) + 60;
 
     const canvas = document.createElement("canvas");
-    canvas.width = w;
-    canvas.height = h;
+    canvas.width = w * SCORECARD_SCALE;
+    canvas.height = h * SCORECARD_SCALE;
 
     const ctx = canvas.getContext("2d");
     if (!ctx) return;
+    ctx.scale(SCORECARD_SCALE, SCORECARD_SCALE);
 
     drawCardBase(ctx, w, h);
 
@@ -1064,38 +3569,60 @@ let started = false;
     ctx.font = "900 28px Arial";
     ctx.fillText("Identifying Musical Intervals — Scorecard", 28, 54);
 
-    const bodyX = 28;
-    const bodyY = 125;
-
-    ctx.fillStyle = "#111";
-    ctx.font = "900 22px Arial";
-    ctx.fillText("Summary", bodyX, bodyY);
+    drawSectionTitle(ctx, "Summary", bodyX, bodyY);
 
     const settingsLine =
       `Mode: ${settings.rootMode === "random" ? "Random root" : `Fixed root (${pitchLabel(settings.fixedRootPitch)})`} • ` +
-      `Intervals included: ${settings.intervalCount} (m2 → ${IVL_ALL[settings.intervalCount - 1].code})`;
+      `Intervals: ${intervalSetLabel(settings.intervals)}`;
+    const dateLine = span.start
+      ? `Date: ${span.start.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" })} • ` +
+        `Started ${span.start.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })} • ` +
+        `Duration: ${formatDuration(span.ms)}`
+      : `Date: ${new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" })}`;
 
     ctx.font = "700 16px Arial";
     ctx.fillStyle = "rgba(0,0,0,0.75)";
     ctx.fillText(settingsLine, bodyX, bodyY + 28);
+    ctx.fillText(
+      `Direction: ${directionLabel(settings.direction)} • Timed: ${timedModeLabel()}${score.seed ? ` • Seed: ${score.seed}` : ""}`,
+      bodyX,
+      bodyY + 50
+    );
+    ctx.fillText(dateLine, bodyX, bodyY + 72);
 
     ctx.fillStyle = "#111";
-    ctx.font = "700 20px Arial";
+    ctx.font = "700 18px Arial";
+    summary.forEach((ln, i) => {
+      const col = i < summaryRows ? 0 : 1;
+      const row = col ? i - summaryRows : i;
+      ctx.fillText(ln, bodyX + col * 340, bodyY + 108 + row * 30);
+    });
 
-    const lines = [
-      `Name: ${playerName}`,
-      `Questions asked: ${score.asked}`,
-      `Answers correct: ${score.correct}`,
-      `Answers incorrect: ${score.incorrect}`,
-      `Correct in a row: ${score.streak}`,
-      `Longest correct streak: ${Math.max(score.longest, score.streak)}`,
-      `Percentage correct: ${scorePercent()}%`,
-    ];
+    drawSectionTitle(ctx, "Accuracy per interval", bodyX, barsY);
+    drawAccuracyBars(ctx, bars, bodyX + 36, barsY + 22, w - bodyX * 2 - 40, 160);
+
+    drawSectionTitle(ctx, `Rolling accuracy (last ${SCORECARD_ROLLING_WINDOW} answers)`, bodyX, sparkY);
+    drawSparkline(ctx, spark, bodyX, sparkY + 16, w - bodyX * 2 - 40, 80);
+
+    drawSectionTitle(ctx, "Most confused pairs", bodyX, confusedY);
+    ctx.fillStyle = "#111";
+    ctx.font = "700 17px Arial";
+    if (!confused.length) ctx.fillText("No confusions — nice work!", bodyX, confusedY + 30);
+    confused.forEach((c, i) => {
+      ctx.fillText(`${c.asked} heard as ${c.guess} — ${c.n}×`, bodyX, confusedY + 30 + i * 24);
+    });
 
-    let y = bodyY + 76;
-    for (const ln of lines) {
-      ctx.fillText(ln, bodyX, y);
-      y += 32;
+    if (review.length) {
+      drawSectionTitle(ctx, "Question review", bodyX, reviewY);
+      ctx.font = "700 15px Arial";
+      review.forEach((r, i) => {
+        ctx.fillStyle = r.correct ? "#111" : "#b42318";
+        ctx.fillText(
+          `${i + 1}. ${historyNotesLabel(r)} — ${r.interval} • you: ${r.guess ?? "—"} ${r.correct ? "✓" : "✗"}`,
+          bodyX,
+          reviewY + 30 + i * 22
+        );
+      });
     }
 
     ctx.fillStyle = "rgba(0,0,0,0.65)";
@@ -1111,6 +3638,101 @@ let started = false;
     await downloadScoreCardPng(name);
   }
 
+  // ---------------- downloads (history CSV / JSON) + import ----------------
+  const HISTORY_CSV_COLUMNS = [
+    ["question", (h, i) => i + 1],
+    ["timestamp", (h) => h.ts],
+    ["root", (h) => h.root],
+    ["high", (h) => h.high],
+    ["interval", (h) => h.interval],
+    ["guess", (h) => h.guess],
+    ["correct", (h) => (h.correct ? "yes" : "no")],
+    ["response_ms", (h) => h.responseMs],
+    ["points", (h) => h.points],
+    ["replays", (h) => h.replays],
+    ["credit", (h) => h.credit],
+    ["direction", (h) => h.direction],
+    ["selection", (h) => h.selection],
+    ["root_mode", (h) => h.mode],
+    ["intervals", (h) => (Array.isArray(h.intervals) ? h.intervals.join(" ") : "")],
+    ["spelled_as", (h) => h.spelled],
+    ["drill", (h) => h.drill ?? "identify"],
+    ["instrument", (h) => h.instrument ?? "piano"],
+    ["context", (h) => h.context ?? "off"],
+    ["key", (h) => h.key],
+    ["scale_degrees", (h) => (Array.isArray(h.degrees) ? h.degrees.join("→") : "")],
+    ["melody_notes", (h) => (Array.isArray(h.notes) ? h.notes.join(" ") : "")],
+    ["answer_mode", (h) => h.answerMode ?? "buttons"],
+    ["answer_note", (h) => h.played ?? h.sung],
+    ["cents_off", (h) => h.centsOff],
+  ];
+
+  function csvCell(v) {
+    if (v == null) return "";
+    const str = String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function historyToCsv() {
+    const header = HISTORY_CSV_COLUMNS.map(([name]) => name).join(",");
+    const rows = score.history.map((h, i) => HISTORY_CSV_COLUMNS.map(([, get]) => csvCell(get(h, i))).join(","));
+    return [header, ...rows].join("\r\n") + "\r\n";
+  }
+
+  // Same shape as the localStorage state, so an import goes through the same migrations.
+  function sessionExportObject() {
+    return {
+      app: "whats-that-interval",
+      version: STORAGE_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      score,
+    };
+  }
+
+  function onDownloadHistoryCsv() {
+    if (!score.history.length) return;
+    // BOM so Excel picks up UTF-8 (note names, arrows).
+    const blob = new Blob(["\ufeff" + historyToCsv()], { type: "text/csv;charset=utf-8" });
+    downloadBlob(blob, "Intervals History.csv");
+  }
+
+  function onDownloadHistoryJson() {
+    if (!score.history.length) return;
+    const blob = new Blob([JSON.stringify(sessionExportObject(), null, 2)], { type: "application/json" });
+    downloadBlob(blob, "Intervals History.json");
+  }
+
+  async function importSessionFile(file) {
+    let state = null;
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (parsed && Array.isArray(parsed.score?.history)) state = migrateStoredState(parsed);
+    } catch {}
+
+    if (!state) {
+      setFeedback(`Couldn’t import <code>${escapeHtml(file.name)}</code>: it isn’t a session file exported from this game.`);
+      return;
+    }
+
+    stopAndResetToNotStarted();
+    Object.assign(settings, normalizeSettings(state.settings));
+    Object.assign(score, normalizeScore(state.score));
+    refreshAnswerVisibility();
+    saveProgress();
+    savedSession = loadStoredState();
+
+    renderScore();
+    renderAdaptiveDebug();
+    updateControls();
+
+    const when = state.exportedAt ? ` (exported ${new Date(state.exportedAt).toLocaleString()})` : "";
+    setFeedback(
+      `Imported <strong>${score.asked}</strong> question${score.asked === 1 ? "" : "s"} from <code>${escapeHtml(file.name)}</code>${when}.<br/>` +
+        `Open <strong>Statistics</strong> to review it, or <strong>Game Settings</strong> to resume or start again.`
+    );
+  }
+
   // ---------------- info modal ----------------
   function showInfo() {
     stopAllAudio(0.06);
@@ -1124,6 +3746,146 @@ let started = false;
     playUiSound(SND_BACK);
   }
 
+  // ---------------- statistics ----------------
+  // Intervals shown in the breakdown: the active set plus anything that appears in the history.
+  function statsIntervals() {
+    const codes = new Set(settings.intervals);
+    for (const h of historyParts()) {
+      codes.add(h.interval);
+      codes.add(h.guess);
+    }
+    return IVL_ALL.filter((i) => codes.has(i.code));
+  }
+
+  function perIntervalStats(list) {
+    return list.map((itv) => {
+      const rows = historyParts().filter((h) => h.interval === itv.code);
+      const correct = rows.filter((h) => h.correct).length;
+      const times = rows.map((h) => h.responseMs).filter((ms) => Number.isFinite(ms));
+      const avgMs = times.length ? times.reduce((a, b) => a + b, 0) / times.length : null;
+      return { interval: itv, asked: rows.length, correct, avgMs };
+    });
+  }
+
+  // "asked|answered" → count, over the whole history.
+  function confusionCounts() {
+    const counts = new Map();
+    for (const h of historyParts()) {
+      const key = `${h.interval}|${h.guess}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  }
+
+  function formatSeconds(ms) {
+    if (!Number.isFinite(ms)) return "—";
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  function renderStats() {
+    if (!score.history.length) {
+      statsBody.innerHTML = `<p class="statsEmpty">Answer a few questions and your statistics will appear here.</p>`;
+      return;
+    }
+
+    const list = statsIntervals();
+
+    const tableRows = perIntervalStats(list)
+      .map((r) => {
+        const pct = r.asked ? `${Math.round((r.correct / r.asked) * 100)}%` : "—";
+        return (
+          `<tr><td>${r.interval.code}</td><td>${r.asked}</td><td>${r.correct}</td>` +
+          `<td>${pct}</td><td>${formatSeconds(r.avgMs)}</td></tr>`
+        );
+      })
+      .join("");
+
+    const counts = confusionCounts();
+
+    const head = list.map((i) => `<th scope="col">${i.code}</th>`).join("");
+    const body = list
+      .map((asked) => {
+        const rowTotal = list.reduce((sum, g) => sum + (counts.get(`${asked.code}|${g.code}`) || 0), 0);
+        const cells = list
+          .map((guess) => {
+            const n = counts.get(`${asked.code}|${guess.code}`) || 0;
+            const share = rowTotal ? n / rowTotal : 0;
+            const hit = asked.code === guess.code;
+            const bg = n ? `background:rgba(${hit ? "31,157,85" : "209,59,59"},${(0.15 + share * 0.75).toFixed(2)})` : "";
+            const title = `Asked ${asked.code}, answered ${guess.code}: ${n}. Click to hear both.`;
+            return (
+              `<td><button type="button" class="cmCell" style="${bg}" title="${title}" ` +
+              `data-asked="${asked.code}" data-guess="${guess.code}">${n || ""}</button></td>`
+            );
+          })
+          .join("");
+        return `<tr><th scope="row">${asked.code}</th>${cells}</tr>`;
+      })
+      .join("");
+
+    statsBody.innerHTML =
+      `<div class="statsSection">` +
+      `<div class="settingsLabel">Accuracy per interval</div>` +
+      `<table class="debugTable statsTable"><thead><tr><th>Interval</th><th>Asked</th><th>Correct</th>` +
+      `<th>Accuracy</th><th>Avg time</th></tr></thead><tbody>${tableRows}</tbody></table>` +
+      `</div>` +
+      `<div class="statsSection">` +
+      `<div class="settingsLabel">Confusion matrix (rows: asked, columns: answered)</div>` +
+      `<div class="cmWrap"><table class="cmTable"><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table></div>` +
+      `<div class="settingsHint" id="cmNowPlaying">Click a cell to hear the asked interval, then the one that was answered.</div>` +
+      `</div>`;
+  }
+
+  // Plays the asked interval, then the answered one, from the same root.
+  async function playConfusionExample(askedCode, guessCode) {
+    const asked = IVL_ALL.find((i) => i.code === askedCode);
+    const guess = IVL_ALL.find((i) => i.code === guessCode);
+    if (!asked || !guess) return;
+
+    stopAllAudio(0.06);
+    await resumeAudioIfNeeded();
+    const ctx = ensureAudioGraph();
+    if (!ctx) return;
+
+    const maxRoot = MAX_PITCH - Math.max(asked.semitones, guess.semitones);
+    const root = Math.min(settings.rootMode === "fixed" ? settings.fixedRootPitch : pitchFromPcOct(0, 4), maxRoot);
+
+    const pairs = asked.code === guess.code ? [asked] : [asked, guess];
+    const loaded = await Promise.all(
+      pairs.map((itv) => Promise.all([loadPitchBuffer(root), loadPitchBuffer(root + itv.semitones)]))
+    );
+
+    const nowPlaying = statsBody.querySelector("#cmNowPlaying");
+    if (nowPlaying) {
+      nowPlaying.innerHTML =
+        pairs.length === 1
+          ? `Playing <strong>${asked.code}</strong> from ${pitchLabel(root)}.`
+          : `Playing <strong>${asked.code}</strong> (asked), then <strong>${guess.code}</strong> (answered) from ${pitchLabel(root)}.`;
+    }
+
+    let t = ctx.currentTime + 0.05;
+    for (const [a1, a2] of loaded) {
+      playLoadedNote(a1, t, settings.noteSec, 0.85);
+      playLoadedNote(a2, t + secondNoteOffsetSec(), settings.noteSec, 0.85);
+      t += secondNoteOffsetSec() + settings.noteSec + 0.5;
+    }
+  }
+
+  function showStats() {
+    if (hidesFeedback()) return;
+    stopAllAudio(0.06);
+    playUiSound(SND_SELECT);
+    renderStats();
+    statsModal.classList.remove("hidden");
+    statsClose.focus();
+  }
+
+  function hideStats() {
+    stopAllNotes(0.06);
+    statsModal.classList.add("hidden");
+    playUiSound(SND_BACK);
+  }
+
   // ---------------- apply settings / start / reset ----------------
   function resetScore() {
     score.asked = 0;
@@ -1131,48 +3893,327 @@ let started = false;
     score.incorrect = 0;
     score.streak = 0;
     score.longest = 0;
+    score.points = 0;
+    score.credit = 0;
+    score.complete = false;
+    score.seed = "";
+    score.rng = 0;
+    score.testLength = 0;
+    score.retry = [];
     score.history = [];
   }
 
-  async function applySettingsAndRestart() {
-    settings.intervalCount = clampInt(intervalCountSel.value, 2, IVL_ALL.length);
-    settings.rootMode = rootModeSel.value === "fixed" ? "fixed" : "random";
-    settings.fixedRootPitch = Number.parseInt(rootNoteSel.value, 10);
+  function readSettingsFromUi() {
+    return {
+      intervals: pickerSelectedCodes(),
+      rootMode: rootModeSel.value,
+      fixedRootPitch: Number.parseInt(rootNoteSel.value, 10),
+      direction: directionSel.value,
+      selection: selectionSel.value,
+      timedMode: timedModeSel.value,
+      timedQuestions: timedQuestionsSel.value,
+      testMode: testModeSel.value,
+      testQuestions: testQuestionsSel.value,
+      maxReplays: maxReplaysSel.value,
+      replayScoring: replayScoringSel.value,
+      seed: seedInput.value,
+      timedSeconds: timedSecondsSel.value,
+      drill: drillSel.value,
+      instrument: instrumentSel.value,
+      noteSec: noteSecSel.value,
+      gapSec: gapSecSel.value,
+      startDelaySec: startDelaySel.value,
+      volume: Number(volumeRange.value) / 100,
+      context: contextSel.value,
+      contextKey: contextKeySel.value,
+      generation: generationSel.value,
+      scaleKey: Number(scaleKeySel.value),
+      scale: scaleSel.value,
+      answerMode: answerModeSel.value,
+      singToleranceCents: singToleranceSel.value,
+      singAnyOctave: singAnyOctaveChk.checked,
+    };
+  }
+
+  // `raw` defaults to the settings modal; the host API and assignment links pass their own.
+  // `retry` history entries are asked again first, and a test made of them is only that long.
+  async function applySettingsAndRestart(raw = null, { autoplay = true, retry = [] } = {}) {
+    if (!raw && pickerSelectedCodes().length < MIN_INTERVALS_SELECTED) return;
+    Object.assign(settings, normalizeSettings(raw ?? readSettingsFromUi()));
+    applyVolume();
+    if (answerMode() === "sing") await ensureMicrophone();
+    else releaseMicrophone();
 
     refreshAnswerVisibility();
 
     resetScore();
-    renderScore();
+    score.seed = settings.seed || newSeed();
+    seedRandom(score.seed);
+    score.retry = retry.slice();
+    score.testLength = score.retry.length || settings.testQuestions;
+    savedSession = null;
+    saveProgress();
 
     started = true;
     awaitingNext = false;
     canAnswer = false;
     question = null;
+    renderMelodySteps();
+    renderScore();
 
     setKeyboardVisible(false);
     setFeedback("Starting…");
     hideSettingsModal();
+    await preloadSamples();
+    if (!started) return;
+    startSessionClock();
+
+    await startNewRound({ autoplay });
+  }
+
+  async function resumeSavedSession({ autoplay = true } = {}) {
+    if (!savedSession) return;
+    Object.assign(settings, savedSession.settings);
+    Object.assign(score, savedSession.score);
+    applyVolume();
+    savedSession = null;
+    if (answerMode() === "sing") await ensureMicrophone();
+
+    // Sessions saved before test lengths were stored run the configured length.
+    if (!score.testLength) score.testLength = settings.testQuestions;
+    // Pick up the sequence where it stopped; sessions saved before seeds existed start a new one.
+    if (score.seed) {
+      rngState = score.rng;
+    } else {
+      score.seed = newSeed();
+      seedRandom(score.seed);
+    }
+    refreshAnswerVisibility();
+
+    started = true;
+    awaitingNext = false;
+    canAnswer = false;
+    question = null;
+    renderMelodySteps();
+    renderScore();
+
+    setKeyboardVisible(false);
+    setFeedback("Resuming…");
+    hideSettingsModal();
+    await preloadSamples();
+    if (!started) return;
+    // The countdown isn't saved, so a resumed clock challenge starts a fresh countdown.
+    startSessionClock();
 
-    await startNewRound({ autoplay: true });
+    await startNewRound({ autoplay });
   }
 
   function stopAndResetToNotStarted() {
     stopAllAudio(0.08);
+    releaseMicrophone();
 
     started = false;
     canAnswer = false;
     awaitingNext = false;
     question = null;
+    renderMelodySteps();
 
     resetScore();
+    savedSession = null;
+    saveProgress();
     renderScore();
     clearAnswerMarks();
     setKeyboardVisible(false);
+    renderAdaptiveDebug();
+    stopTimer();
+    clockEndsAt = null;
+    renderTimer();
 
     setFeedback("Open <strong>Game Settings</strong> to start.");
     updateControls();
   }
 
+  // ---------------- assignment links (settings in the URL) ----------------
+  // Settings ride in the query string or the hash (the hash wins), e.g. ?i=P4,P5,P8&rm=fixed&root=C4&timed=questions&n=20.
+  // A link lists only what differs from the defaults, and anything it leaves out takes its default.
+  function encodeLinkValue(key, value) {
+    if (Array.isArray(value)) return value.join(",");
+    if (typeof value === "boolean") return value ? "1" : "0";
+    if (key === "fixedRootPitch") return `${PC_NAMES_SHARP[pcFromPitch(value)]}${octFromPitch(value)}`;
+    return String(value);
+  }
+
+  // Typed like the default value; normalizeSettings() validates the result.
+  function decodeLinkValue(key, text, fallback) {
+    if (Array.isArray(fallback)) return text.split(",").filter(Boolean);
+    if (typeof fallback === "boolean") return text === "1" || text === "true";
+    if (key === "fixedRootPitch") {
+      const m = /^([A-G][#b]?)(\d)$/.exec(text);
+      return m ? spelledPitch(parseNoteName(m[1], Number(m[2]))) : Number(text);
+    }
+    if (typeof fallback === "number") return Number(text);
+    return text;
+  }
+
+  function sameLinkSettings(a, b) {
+    return Object.keys(LINK_PARAMS).every((key) => encodeLinkValue(key, a[key]) === encodeLinkValue(key, b[key]));
+  }
+
+  function linkParams() {
+    const params = new URLSearchParams(location.search);
+    for (const [k, v] of new URLSearchParams(location.hash.replace(/^#/, ""))) params.set(k, v);
+    return params;
+  }
+
+  // { settings, begin } from the page URL, or null when it doesn't carry any settings.
+  function settingsFromLink() {
+    const params = linkParams();
+    const d = defaultSettings();
+    const raw = {};
+    for (const [key, param] of Object.entries(LINK_PARAMS)) {
+      if (params.has(param)) raw[key] = decodeLinkValue(key, params.get(param), d[key]);
+    }
+    if (!Object.keys(raw).length) return null;
+
+    const begin = params.get(LINK_BEGIN_PARAM);
+    return { settings: normalizeSettings({ ...d, ...raw }), begin: ["lock", "skip"].includes(begin) ? begin : "show" };
+  }
+
+  function assignmentLink(s, begin) {
+    const d = defaultSettings();
+    const params = new URLSearchParams();
+    for (const [key, param] of Object.entries(LINK_PARAMS)) {
+      const value = encodeLinkValue(key, s[key]);
+      if (value !== encodeLinkValue(key, d[key])) params.set(param, value);
+    }
+    // The interval set is always written so an all-defaults link still counts as an assignment.
+    if (!params.has(LINK_PARAMS.intervals)) params.set(LINK_PARAMS.intervals, encodeLinkValue("intervals", s.intervals));
+    if (begin !== "show") params.set(LINK_BEGIN_PARAM, begin);
+    // Commas are left readable: they're allowed in a query string.
+    return `${location.href.split(/[?#]/)[0]}?${String(params).replace(/%2C/gi, ",")}`;
+  }
+
+  async function onCopyLink() {
+    if (pickerSelectedCodes().length < MIN_INTERVALS_SELECTED) return;
+    const link = assignmentLink(normalizeSettings(readSettingsFromUi()), linkBeginSel.value);
+    try {
+      await navigator.clipboard.writeText(link);
+      copyLinkBtn.textContent = "Link copied ✓";
+      window.setTimeout(() => (copyLinkBtn.textContent = "Copy assignment link"), 1500);
+    } catch {
+      window.prompt("Copy this assignment link:", link);
+    }
+  }
+
+  // ---------------- host page messaging (postMessage API) ----------------
+  // Every message is { protocol: "ivl-host", version: 1, type, payload }, in both directions.
+  // Host → game commands (add an `id` to get a { type: "response", replyTo: id, ok, payload | error } back):
+  //   hello                          → { version, started, settings, score }
+  //   set-settings { settings }      → merges into the current settings (restarts a running session)
+  //   start                          → starts a new session with the current settings
+  //   reset                          → ends the session and shows the begin screen
+  //   get-score                      → { score, history }
+  // Game → host events: ready, question-asked { number, drill, direction, notes },
+  //   answer-given { entry, score }, session-complete { reason, score, history }.
+  function isTrustedOrigin(origin) {
+    return origin !== "null" && (origin === location.origin || HOST_ORIGINS.includes(origin));
+  }
+
+  // Origin of the last trusted host message; events follow it when the page can't see who embeds it
+  // (no ancestorOrigins, no-referrer policy).
+  let verifiedHostOrigin = null;
+
+  // The embedding page's origin when it is trusted; null when not embedded or not trusted.
+  function trustedHostOrigin() {
+    if (window.parent === window) return null;
+    if (verifiedHostOrigin) return verifiedHostOrigin;
+    let origin = location.ancestorOrigins?.[0] ?? null;
+    if (!origin && document.referrer) {
+      try {
+        origin = new URL(document.referrer).origin;
+      } catch {}
+    }
+    return origin && isTrustedOrigin(origin) ? origin : null;
+  }
+
+  function hostMessage(type, fields) {
+    return { protocol: HOST_PROTOCOL, version: HOST_PROTOCOL_VERSION, type, ...fields };
+  }
+
+  function postToHost(type, fields) {
+    const origin = trustedHostOrigin();
+    if (!origin) return;
+    window.parent.postMessage(hostMessage(type, fields), origin);
+  }
+
+  function emitHostEvent(type, payload = {}) {
+    postToHost(type, { payload });
+  }
+
+  function scoreSummary() {
+    const { history, rng, retry, ...rest } = score;
+    return { ...rest, percent: scorePercent() };
+  }
+
+  const HOST_COMMANDS = {
+    hello: () => ({ version: HOST_PROTOCOL_VERSION, started, settings: { ...settings }, score: scoreSummary() }),
+
+    "set-settings": async ({ settings: raw }) => {
+      if (!raw || typeof raw !== "object") throw new Error("payload.settings must be an object");
+      const next = normalizeSettings({ ...settings, ...raw });
+      if (started) {
+        await applySettingsAndRestart(next);
+      } else {
+        Object.assign(settings, next);
+        applyVolume();
+        refreshAnswerVisibility();
+        saveProgress();
+        if (!settingsModal.classList.contains("hidden")) showSettingsModal({ purpose: "begin" });
+      }
+      return { settings: { ...settings } };
+    },
+
+    start: async () => {
+      await applySettingsAndRestart({ ...settings });
+      return { started };
+    },
+
+    reset: () => {
+      stopAndResetToNotStarted();
+      showSettingsModal({ purpose: "begin" });
+      return { started };
+    },
+
+    "get-score": () => ({ score: scoreSummary(), history: score.history.slice() }),
+  };
+
+  async function onHostMessage(e) {
+    const msg = e.data;
+    if (!msg || typeof msg !== "object" || msg.protocol !== HOST_PROTOCOL) return;
+    if (e.source !== window.parent || !isTrustedOrigin(e.origin)) return;
+    verifiedHostOrigin = e.origin;
+
+    // Answer the verified sender directly rather than whatever origin the page guessed for its parent.
+    const reply = (fields) => {
+      if (msg.id != null) e.source.postMessage(hostMessage("response", { replyTo: msg.id, ...fields }), e.origin);
+    };
+    if (msg.version !== HOST_PROTOCOL_VERSION) {
+      reply({ ok: false, error: `unsupported protocol version ${msg.version} (expected ${HOST_PROTOCOL_VERSION})` });
+      return;
+    }
+    const command = Object.hasOwn(HOST_COMMANDS, msg.type) ? HOST_COMMANDS[msg.type] : null;
+    if (!command) {
+      reply({ ok: false, error: `unknown message type "${msg.type}"` });
+      return;
+    }
+
+    try {
+      reply({ ok: true, payload: await command(msg.payload ?? {}) });
+    } catch (err) {
+      reply({ ok: false, error: String(err?.message || err) });
+    }
+  }
+
   // ---------------- modals init content ----------------
   function renderInfoText() {
     // If you wrote content in index.html, don't overwrite it.
@@ -1197,7 +4238,51 @@ let started = false;
       await applySettingsAndRestart();
     });
 
-    intervalCountSel.addEventListener("change", () => {
+    copyLinkBtn.addEventListener("click", onCopyLink);
+
+    settingsResume.addEventListener("click", async () => {
+      await resumeSavedSession();
+    });
+
+    clearDataBtn.addEventListener("click", () => {
+      const ok = window.confirm(
+        "Delete your saved settings, score history and scorecard name from this browser?"
+      );
+      if (!ok) return;
+      stopAndResetToNotStarted();
+      Object.assign(settings, defaultSettings());
+      clearStoredData();
+      refreshAnswerVisibility();
+      showSettingsModal({ purpose: "begin" });
+      setFeedback("Your saved data has been cleared. Open <strong>Game Settings</strong> to start.");
+    });
+
+    intervalPresetSel.addEventListener("change", () => {
+      const preset = INTERVAL_PRESETS.find((p) => p.id === intervalPresetSel.value);
+      if (!preset) return;
+      if (preset.compound) compoundChk.checked = true;
+      if (preset.advanced) advancedChk.checked = true;
+      setPickerSelection(withQualityCodes(preset.codes, advancedChk.checked));
+      syncCompoundUi();
+      syncAdvancedUi();
+      syncIntervalPickerUi();
+      buildRootOptions();
+    });
+
+    compoundChk.addEventListener("change", () => {
+      syncCompoundUi();
+      syncIntervalPickerUi();
+      buildRootOptions();
+    });
+
+    advancedChk.addEventListener("change", () => {
+      syncAdvancedUi();
+      syncIntervalPickerUi();
+      buildRootOptions();
+    });
+
+    intervalPicker.addEventListener("change", () => {
+      syncIntervalPickerUi();
       buildRootOptions();
     });
 
@@ -1205,6 +4290,46 @@ let started = false;
       syncRootModeUi();
     });
 
+    timedModeSel.addEventListener("change", () => {
+      syncTimedModeUi();
+    });
+
+    generationSel.addEventListener("change", () => {
+      syncGenerationUi();
+    });
+    scaleKeySel.addEventListener("change", syncScaleFitUi);
+    scaleSel.addEventListener("change", syncScaleFitUi);
+
+    contextSel.addEventListener("change", () => {
+      syncContextUi();
+    });
+
+    volumeRange.addEventListener("input", () => {
+      syncVolumeUi();
+    });
+
+    seedHint.addEventListener("click", (e) => {
+      if (!(e.target instanceof Element) || !e.target.closest("[data-use-seed]")) return;
+      seedInput.value = score.seed;
+    });
+
+    testModeSel.addEventListener("change", () => {
+      syncTestModeUi();
+    });
+
+    drillSel.addEventListener("change", () => {
+      syncAnswerModeUi();
+    });
+
+    answerModeSel.addEventListener("change", () => {
+      syncAnswerModeUi();
+    });
+
+    feedbackOut.addEventListener("click", onReferenceClick);
+    window.addEventListener("message", onHostMessage);
+    melodySteps.addEventListener("click", onMelodyStepClick);
+    referenceList.addEventListener("click", onReferenceClick);
+
     infoBtn.addEventListener("click", showInfo);
     modalClose.addEventListener("click", hideInfo);
 
@@ -1212,6 +4337,28 @@ let started = false;
       if (e.target === infoModal) hideInfo();
     });
 
+    resultsClose.addEventListener("click", hideResults);
+    retryMissedBtn.addEventListener("click", retryMissed);
+    resultsDownloadBtn.addEventListener("click", onDownloadScoreCard);
+    resultsModal.addEventListener("click", (e) => {
+      if (e.target === resultsModal) hideResults();
+    });
+    feedbackOut.addEventListener("click", (e) => {
+      if (e.target instanceof Element && e.target.closest("[data-show-results]")) showResults();
+    });
+
+    statsBtn.addEventListener("click", showStats);
+    statsClose.addEventListener("click", hideStats);
+
+    statsModal.addEventListener("click", (e) => {
+      if (e.target === statsModal) {
+        hideStats();
+        return;
+      }
+      const cell = e.target instanceof Element ? e.target.closest(".cmCell") : null;
+      if (cell) playConfusionExample(cell.dataset.asked, cell.dataset.guess);
+    });
+
     settingsModal.addEventListener("click", (e) => {
       if (e.target !== settingsModal) return;
       if (settingsModalLocked && !started) return;
@@ -1221,8 +4368,11 @@ let started = false;
     document.addEventListener("keydown", (e) => {
       if (e.key === "Escape") {
         if (!infoModal.classList.contains("hidden")) hideInfo();
+        if (!statsModal.classList.contains("hidden")) hideStats();
+        if (!resultsModal.classList.contains("hidden")) hideResults();
         if (!settingsModal.classList.contains("hidden") && !(settingsModalLocked && !started)) hideSettingsModal();
       }
+      if (e.target instanceof HTMLInputElement && e.target.type === "text") return;
       if (e.key === "r" || e.key === "R") replayBtn.click();
       if (e.key === " " && !e.repeat) {
         e.preventDefault();
@@ -1237,6 +4387,12 @@ let started = false;
 
     replayBtn.addEventListener("click", async () => {
       if (!started || !question) return;
+      if (question.unplayed) {
+        question.unplayed = false;
+      } else if (!awaitingNext) {
+        if (replaysLeft() <= 0) return;
+        question.replays = (question.replays || 0) + 1;
+      }
       const allowAnswerAfter = !awaitingNext;
       await playCurrentInterval({ allowAnswerAfter, delaySec: 0 });
     });
@@ -1247,23 +4403,73 @@ let started = false;
     });
 
     downloadScoreBtn.addEventListener("click", onDownloadScoreCard);
+    exportCsvBtn.addEventListener("click", onDownloadHistoryCsv);
+    exportJsonBtn.addEventListener("click", onDownloadHistoryJson);
+
+    importJsonBtn.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", async () => {
+      const file = importFile.files?.[0];
+      importFile.value = "";
+      if (file) await importSessionFile(file);
+    });
   }
 
   function init() {
-    populateIntervalCountOptions();
+    const stored = loadStoredState();
+    if (stored) {
+      Object.assign(settings, stored.settings);
+      if (stored.score.asked > 0) savedSession = stored;
+    }
+
+    const link = settingsFromLink();
+    if (link) {
+      Object.assign(settings, link.settings);
+      settingsLockedByLink = link.begin === "lock";
+      linkBeginSel.value = link.begin;
+      // Saved progress only resumes when it belongs to the same assignment.
+      if (savedSession && !sameLinkSettings(savedSession.settings, settings)) savedSession = null;
+    }
+
+    populateIntervalPresetOptions();
+    populateInstrumentOptions();
+    populateContextKeyOptions();
+    populateScaleOptions();
+    populateIntervalPicker();
+    setPickerSelection(settings.intervals);
+    compoundChk.checked = settings.intervals.some((c) => IVL_COMPOUND.some((i) => i.code === c));
+    advancedChk.checked = settings.intervals.some(isAdvancedCode);
+    syncCompoundUi();
+    syncAdvancedUi();
+    syncIntervalPickerUi();
     buildAnswerButtons();
     buildRootOptions();
     syncRootModeUi();
     renderInfoText();
+    loadReferences();
 
     renderScore();
+    renderAdaptiveDebug();
     setKeyboardVisible(false);
     updateControls();
 
-    // Show begin popup on load (Reset Game covers it later too)
-    showSettingsModal({ purpose: "begin" });
+    // Show begin popup on load (Reset Game covers it later too). Links with begin=skip go straight in,
+    // waiting for Replay before the first notes since browsers keep audio off until the page is touched.
+    if (link?.begin === "skip") {
+      if (savedSession && !savedSession.score.complete) resumeSavedSession({ autoplay: false });
+      else applySettingsAndRestart({ ...settings }, { autoplay: false });
+    } else {
+      showSettingsModal({ purpose: "begin" });
+    }
+    emitHostEvent("ready", { version: HOST_PROTOCOL_VERSION, settings: { ...settings } });
+  }
+
+  // Offline support: sw.js caches the app and its samples once they have loaded.
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register("sw.js").catch(() => {});
   }
 
   bind();
   init();
+  registerServiceWorker();
 })();
@@ -0,0 +1,82 @@
+/* /sw.js
+   Service worker for offline use.
+   Precaches the app shell, images and every note/UI sample on install. Samples and images are
+   served cache-first; the pages, scripts, styles and references.json go to the network first
+   (so edits show up) and fall back to the cache when offline.
+   Bump CACHE_VERSION when the file list changes.
+*/
+"use strict";
+
+const CACHE_VERSION = "ivl-v1";
+
+const STEMS = ["c", "csharp", "d", "dsharp", "e", "f", "fsharp", "g", "gsharp", "a", "asharp", "b"];
+const NOTE_SAMPLES = [2, 3, 4, 5].flatMap((oct) => STEMS.map((stem) => `audio/${stem}${oct}.mp3`)).concat(["audio/c6.mp3"]);
+const UI_SAMPLES = ["audio/correct1.mp3", "audio/incorrect1.mp3", "audio/back1.mp3", "audio/select1.mp3"];
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "script.js",
+  "style.css",
+  "pitchdetect.js",
+  "references.json",
+  "images/title.png",
+  "images/titlewrapped.png",
+  "images/Background.png",
+];
+
+const PRECACHE = APP_SHELL.concat(UI_SAMPLES, NOTE_SAMPLES);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE_VERSION);
+      // One missing file (e.g. optional images) shouldn't stop the rest from caching.
+      await Promise.all(PRECACHE.map((url) => cache.add(url).catch(() => {})));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((k) => k !== CACHE_VERSION).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+function isStaticAsset(url) {
+  return /\/(audio|images)\//.test(url.pathname);
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(CACHE_VERSION)).put(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(CACHE_VERSION)).put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  event.respondWith(isStaticAsset(url) ? cacheFirst(request) : networkFirst(request));
+});
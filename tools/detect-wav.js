@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/* /tools/detect-wav.js
+   Offline check for the sing-back pitch detector: runs pitchdetect.js over a recorded WAV file.
+
+   Usage:
+     node tools/detect-wav.js recording.wav
+     node tools/detect-wav.js recording.wav --expect A4 --tolerance 50
+
+   Prints the median detected pitch of the voiced frames. With --expect, exits with code 1
+   when the median is further than --tolerance cents (default 50) from the expected note.
+   Supports PCM 8/16/24/32-bit and 32-bit float WAV files; channels are mixed to mono.
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const PitchDetect = require(path.join(__dirname, "..", "pitchdetect.js"));
+
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(2);
+}
+
+function parseWav(buf) {
+  if (buf.toString("ascii", 0, 4) !== "RIFF" || buf.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("not a RIFF/WAVE file");
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let off = 12; off + 8 <= buf.length; ) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = off + 8;
+    if (id === "fmt ") {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14),
+      };
+      // WAVE_FORMAT_EXTENSIBLE: the real format code is the start of the sub-format GUID.
+      if (fmt.format === 0xfffe && size >= 26) fmt.format = buf.readUInt16LE(body + 24);
+    } else if (id === "data") {
+      data = buf.subarray(body, Math.min(buf.length, body + size));
+    }
+    off = body + size + (size % 2);
+  }
+  if (!fmt || !data) throw new Error("missing fmt or data chunk");
+
+  const bytes = fmt.bitsPerSample / 8;
+  const frameBytes = bytes * fmt.channels;
+  const frames = Math.floor(data.length / frameBytes);
+  const out = new Float32Array(frames);
+
+  const read = (o) => {
+    if (fmt.format === 3 && bytes === 4) return data.readFloatLE(o);
+    if (fmt.format !== 1) throw new Error(`unsupported WAV format code ${fmt.format}`);
+    if (bytes === 1) return (data.readUInt8(o) - 128) / 128;
+    if (bytes === 2) return data.readInt16LE(o) / 32768;
+    if (bytes === 3) return data.readIntLE(o, 3) / 8388608;
+    if (bytes === 4) return data.readInt32LE(o) / 2147483648;
+    throw new Error(`unsupported bit depth ${fmt.bitsPerSample}`);
+  };
+
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < fmt.channels; c++) sum += read(i * frameBytes + c * bytes);
+    out[i] = sum / fmt.channels;
+  }
+  return { sampleRate: fmt.sampleRate, samples: out };
+}
+
+function noteToMidi(name) {
+  const m = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(String(name).trim());
+  if (!m) return null;
+  const pc = NOTE_NAMES.indexOf(m[1].toUpperCase()) + (m[2] === "#" ? 1 : m[2] === "b" ? -1 : 0);
+  return (Number(m[3]) + 1) * 12 + pc;
+}
+
+function midiLabel(midi) {
+  const n = Math.round(midi);
+  return `${NOTE_NAMES[((n % 12) + 12) % 12]}${Math.floor(n / 12) - 1}`;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const file = args.find((a) => !a.startsWith("--"));
+  if (!file) fail("Usage: node tools/detect-wav.js <file.wav> [--expect A4] [--tolerance 50]");
+
+  const opt = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const expect = opt("--expect");
+  const tolerance = Number(opt("--tolerance") ?? 50);
+
+  let wav;
+  try {
+    wav = parseWav(fs.readFileSync(file));
+  } catch (e) {
+    fail(`${file}: ${e.message}`);
+  }
+
+  const track = PitchDetect.detectPitchTrack(wav.samples, wav.sampleRate);
+  const voiced = track.filter((f) => f.frequency);
+  if (!voiced.length) {
+    console.log(`${path.basename(file)}: no pitch detected`);
+    process.exit(expect ? 1 : 0);
+  }
+
+  const midi = PitchDetect.median(voiced.map((f) => PitchDetect.frequencyToMidi(f.frequency)));
+  const cents = Math.round((midi - Math.round(midi)) * 100);
+  const hz = PitchDetect.midiToFrequency(midi).toFixed(1);
+  console.log(
+    `${path.basename(file)}: ${midiLabel(midi)} ${cents >= 0 ? "+" : ""}${cents}¢ (${hz} Hz), ` +
+      `${voiced.length}/${track.length} voiced frames`
+  );
+
+  if (expect) {
+    const target = noteToMidi(expect);
+    if (target == null) fail(`--expect: can't read note name "${expect}"`);
+    const off = Math.round((midi - target) * 100);
+    const ok = Math.abs(off) <= tolerance;
+    console.log(`${ok ? "PASS" : "FAIL"}: ${off >= 0 ? "+" : ""}${off}¢ from ${expect} (tolerance ±${tolerance}¢)`);
+    process.exit(ok ? 0 : 1);
+  }
+}
+
+main(process.argv);